@@ -0,0 +1,117 @@
+'use strict';
+
+let crypto = require('crypto');
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+let CollectionAuditSink = require('./collection-audit-sink');
+
+// Records the changes made through the server (who changed what) by
+// listening to the events of the registered collections. The entries are
+// written once the transaction of the change (if any) is committed.
+//
+// The items deleted by a find and delete request are not recorded one by
+// one: its entry has the query and the number of deleted items only.
+//
+// The values are the ones of the server getting the request (see
+// KindaRepositoryServer.getAuditedValue).
+
+let Auditor = KindaObject.extend('Auditor', function() {
+  // Options:
+  //   sink: where the entries are written. Default: the 'collectionName'
+  //     collection of the server repository.
+  //     {
+  //       async write(entry) {},
+  //       async find(options) {} // returns entries (options: query, order, limit...)
+  //     }
+  //   collectionName: collection used by the default sink. Default: 'AuditEntries'.
+  //   identityHandler: returns the identity recorded in the entries.
+  //     Default: the verifyAuthorizationResult (unless it is a boolean).
+  //     function(request) {
+  //       return request.verifyAuthorizationResult.userId;
+  //     }
+  this.creator = function(repository, options = {}) {
+    this.collectionName = options.collectionName || 'AuditEntries';
+    this.sink = options.sink || CollectionAuditSink.create(repository, this.collectionName);
+    this.identityHandler = options.identityHandler;
+  };
+
+  this.watch = function(registeredCollection, server) {
+    registeredCollection.on('didPutItem', async function(request) {
+      let item = request.item;
+      let before = request.previousValue && server.getAuditedValue(item, request.previousValue);
+      let after = server.getAuditedValue(item);
+      await this.record(registeredCollection, 'put', request, request.item, before, after);
+    }.bind(this));
+
+    registeredCollection.on('didDeleteItem', async function(request) {
+      let before = server.getAuditedValue(request.item);
+      await this.record(registeredCollection, 'delete', request, request.item, before, undefined);
+    }.bind(this));
+
+    registeredCollection.on('didFindAndDeleteItems', async function(request) {
+      await this.record(registeredCollection, 'findAndDelete', request, undefined, undefined, undefined, {
+        query: request.options.query,
+        deletedItemsCount: request.deletedItemsCount
+      });
+    }.bind(this));
+
+    let recordAttachment = async function(request) {
+      let details = _.assign({ name: request.name }, _.pick(request.attachment, ['contentType', 'size']));
+      await this.record(registeredCollection, request.method, request, request.item, undefined, undefined, details);
+    }.bind(this);
+    registeredCollection.on('didPutAttachment', recordAttachment);
+    registeredCollection.on('didDeleteAttachment', recordAttachment);
+
+    let recordCall = async function(request) {
+      if (request.httpMethod !== 'POST') return; // only the custom POST methods can change something
+      let item = request.item;
+      let before = request.previousValue && server.getAuditedValue(item, request.previousValue);
+      let after = item && server.getAuditedValue(item);
+      await this.record(registeredCollection, 'call', request, item, before, after);
+    }.bind(this);
+    registeredCollection.on('didCallCollectionMethod', recordCall);
+    registeredCollection.on('didCallItemMethod', recordCall);
+  };
+
+  // The entry is made right away (the item may change again in the same
+  // transaction) but written after the commit
+  this.record = async function(registeredCollection, type, request, item, before, after, details) {
+    let date = new Date();
+    let entry = {
+      id: date.toISOString() + '-' + crypto.randomBytes(4).toString('hex'),
+      date,
+      requestId: request.requestId,
+      identity: this.getIdentity(request),
+      collectionSlug: registeredCollection.slug,
+      itemId: item && String(item.primaryKeyValue),
+      type,
+      method: request.method,
+      diff: makeDiff(before, after),
+      details
+    };
+    await request.afterCommit(() => this.sink.write(entry));
+  };
+
+  this.getIdentity = function(request) {
+    if (this.identityHandler) return this.identityHandler(request);
+    let result = request.verifyAuthorizationResult;
+    if (typeof result === 'boolean') return undefined;
+    return result;
+  };
+
+  this.find = async function(options) {
+    return await this.sink.find(options);
+  };
+});
+
+// Returns the changed properties: { firstName: { before: 'Manu', after: 'Manuel' } }
+let makeDiff = function(before = {}, after = {}) {
+  let diff = {};
+  _.union(_.keys(before), _.keys(after)).forEach(key => {
+    if (_.isEqual(before[key], after[key])) return;
+    diff[key] = { before: before[key], after: after[key] };
+  });
+  return diff;
+};
+
+module.exports = Auditor;
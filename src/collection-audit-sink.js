@@ -0,0 +1,35 @@
+'use strict';
+
+let KindaObject = require('kinda-object');
+
+// Default sink of the auditor. Entries are written to a collection
+// of the server repository whose items have the following properties:
+//   id (primary key, String), date (Date), requestId (String),
+//   identity (Object), collectionSlug (String), itemId (String),
+//   type (String), method (String), diff (Object), details (Object)
+// Entry ids start with the date so that entries are ordered chronologically.
+
+let CollectionAuditSink = KindaObject.extend('CollectionAuditSink', function() {
+  this.creator = function(repository, collectionName = 'AuditEntries') {
+    if (!repository.collectionClasses[collectionName]) {
+      throw new Error('collection \'' + collectionName + '\' is undefined in the server repository');
+    }
+    this.repository = repository;
+    this.collectionName = collectionName;
+  };
+
+  this.write = async function(entry) {
+    let collection = this.repository.createCollection(this.collectionName);
+    let item = collection.createItem(entry);
+    await collection.putItem(item);
+  };
+
+  // Options: same as the findItems options of a collection
+  this.find = async function(options) {
+    let collection = this.repository.createCollection(this.collectionName);
+    let items = await collection.findItems(options);
+    return items.map(item => item.serialize());
+  };
+});
+
+module.exports = CollectionAuditSink;
@@ -0,0 +1,37 @@
+'use strict';
+
+let KindaObject = require('kinda-object');
+
+// Default store of the token manager. Tokens are kept in a collection
+// of the server repository whose items have the following properties:
+//   id (primary key, String), value (Object), expiresAt (Date)
+
+let CollectionTokenStore = KindaObject.extend('CollectionTokenStore', function() {
+  this.creator = function(repository, collectionName = 'Tokens') {
+    if (!repository.collectionClasses[collectionName]) {
+      throw new Error('collection \'' + collectionName + '\' is undefined in the server repository');
+    }
+    this.repository = repository;
+    this.collectionName = collectionName;
+  };
+
+  this.put = async function(token) {
+    let collection = this.repository.createCollection(this.collectionName);
+    let item = collection.createItem(token);
+    await collection.putItem(item);
+  };
+
+  this.get = async function(id) {
+    let collection = this.repository.createCollection(this.collectionName);
+    let item = await collection.getItem(id, { errorIfMissing: false });
+    if (!item) return undefined;
+    return { id: item.id, value: item.value, expiresAt: item.expiresAt };
+  };
+
+  this.delete = async function(id) {
+    let collection = this.repository.createCollection(this.collectionName);
+    await collection.deleteItem(id, { errorIfMissing: false });
+  };
+});
+
+module.exports = CollectionTokenStore;
@@ -0,0 +1,45 @@
+'use strict';
+
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+
+// Values kept in memory (so they are not shared between processes) until
+// their duration (in ms) has elapsed. Expired entries are deleted when read
+// and, at most once a minute, when a value is set. Used by the default
+// stores of the server.
+
+let ExpiringMap = KindaObject.extend('ExpiringMap', function() {
+  this.creator = function() {
+    this.entries = {};
+    this.nextSweepTime = 0;
+  };
+
+  this.get = function(key) {
+    let entry = this.entries[key];
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      delete this.entries[key];
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  this.set = function(key, value, duration) {
+    let now = Date.now();
+    if (now >= this.nextSweepTime) this.sweep(now);
+    this.entries[key] = { value, expiresAt: now + duration };
+  };
+
+  this.delete = function(key) {
+    delete this.entries[key];
+  };
+
+  this.sweep = function(now) {
+    _.forOwn(this.entries, (entry, key) => {
+      if (entry.expiresAt <= now) delete this.entries[key];
+    });
+    this.nextSweepTime = now + 60 * 1000;
+  };
+});
+
+module.exports = ExpiringMap;
@@ -0,0 +1,118 @@
+'use strict';
+
+let crypto = require('crypto');
+let fs = require('fs');
+let nodePath = require('path');
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+
+// Default store of the attachments: every blob is a '.blob' file (with its
+// metadata in a '.json' file next to it) under 'directory'. Keys are
+// '/' separated paths (like 'users/abc/photo').
+
+let FileSystemBlobStore = KindaObject.extend('FileSystemBlobStore', function() {
+  // Options:
+  //   directory: root directory of the blobs. Default: './attachments'.
+  this.creator = function(options = {}) {
+    this.directory = nodePath.resolve(options.directory || 'attachments');
+  };
+
+  // Writes the content of 'stream' and returns the metadata
+  // completed with the size (in bytes)
+  this.put = async function(key, stream, metadata) {
+    let path = this.getPath(key);
+    await makeDirectory(nodePath.dirname(path));
+    let temporaryPath = path + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+    try {
+      await writeStream(stream, temporaryPath);
+      let stats = await call(fs.stat, temporaryPath);
+      metadata = _.assign({}, metadata, { size: stats.size });
+      await call(fs.rename, temporaryPath, path + '.blob');
+      await call(fs.writeFile, path + '.json', JSON.stringify(metadata));
+    } catch (err) {
+      await call(fs.unlink, temporaryPath).catch(() => {});
+      throw err;
+    }
+    return metadata;
+  };
+
+  // Returns { metadata, stream } or undefined if the blob doesn't exist
+  this.get = async function(key) {
+    let path = this.getPath(key);
+    let json;
+    try {
+      json = await call(fs.readFile, path + '.json', 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+    return { metadata: JSON.parse(json), stream: fs.createReadStream(path + '.blob') };
+  };
+
+  // Returns true if the blob existed
+  this.delete = async function(key) {
+    let path = this.getPath(key);
+    try {
+      await call(fs.unlink, path + '.json');
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+    await call(fs.unlink, path + '.blob').catch(() => {});
+    return true;
+  };
+
+  // Deletes the blobs whose key starts with 'prefix/'
+  // (the blobs of the subdirectories are not deleted)
+  this.deleteAll = async function(prefix) {
+    let directory = this.getPath(prefix);
+    let files;
+    try {
+      files = await call(fs.readdir, directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (let file of files) {
+      await call(fs.unlink, nodePath.join(directory, file)).catch(() => {});
+    }
+    await call(fs.rmdir, directory).catch(() => {});
+  };
+
+  // Segments starting with a dot are escaped ('..' can't go up)
+  this.getPath = function(key) {
+    let segments = key.split('/').map(segment => segment.replace(/^\./, '%2E'));
+    return nodePath.join(this.directory, ...segments);
+  };
+});
+
+let call = function(fn, ...args) {
+  return new Promise(function(resolve, reject) {
+    fn(...args, function(err, result) {
+      if (err) reject(err); else resolve(result);
+    });
+  });
+};
+
+let makeDirectory = async function(path) {
+  try {
+    await call(fs.mkdir, path);
+  } catch (err) {
+    if (err.code === 'EEXIST') return;
+    if (err.code !== 'ENOENT') throw err;
+    await makeDirectory(nodePath.dirname(path));
+    await makeDirectory(path);
+  }
+};
+
+let writeStream = function(stream, path) {
+  return new Promise(function(resolve, reject) {
+    let file = fs.createWriteStream(path);
+    stream.on('error', reject);
+    file.on('error', reject);
+    file.on('finish', resolve);
+    stream.pipe(file);
+  });
+};
+
+module.exports = FileSystemBlobStore;
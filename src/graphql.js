@@ -0,0 +1,298 @@
+'use strict';
+
+let _ = require('lodash');
+let graphql = require('graphql');
+
+// Generates a GraphQL schema from the registered collections of a repository
+// server. Every field is resolved by the handler of the equivalent REST
+// request (see server.resolveGraphQLField), so rate limits, authorization,
+// scopes, field permissions and events apply in the same way.
+//
+// For a 'Users' collection (items of class 'User'):
+//   query {
+//     user(id): User                                  # getItem
+//     users(query, order, limit, cursor): UsersPage  # findItems
+//     usersCount(query): Int                          # countItems
+//     usersCountRetired(options): JSON                # GET collection method
+//   }
+//   mutation {
+//     postUser(value): User
+//     putUser(id, value): User
+//     deleteUser(id): Boolean
+//     usersEcho(body, options): JSON                  # POST collection method
+//     userGenerateReport(id, body, options): JSON     # POST item method
+//   }
+// Item methods are also fields of the item types (called with GET).
+
+let JSONType = new graphql.GraphQLScalarType({
+  name: 'JSON',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: ast => parseJSONLiteral(ast)
+});
+
+let parseJSONLiteral = function(ast) {
+  let Kind = graphql.Kind;
+  switch (ast.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+      return ast.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return Number(ast.value);
+    case Kind.LIST:
+      return ast.values.map(parseJSONLiteral);
+    case Kind.OBJECT:
+      let value = {};
+      ast.fields.forEach(field => {
+        value[field.name.value] = parseJSONLiteral(field.value);
+      });
+      return value;
+    default:
+      return null;
+  }
+};
+
+let createGraphQLSchema = function(server) {
+  let queryFields = {};
+  let mutationFields = {};
+  _.forOwn(server.registeredCollections, registeredCollection => {
+    let klass = server.remoteRepository.collectionClasses[registeredCollection.name];
+    let itemClass = klass.prototype.Item;
+    addCollectionFields(server, registeredCollection, itemClass, queryFields, mutationFields);
+  });
+  let schema = {
+    query: new graphql.GraphQLObjectType({ name: 'Query', fields: queryFields })
+  };
+  if (!_.isEmpty(mutationFields)) {
+    schema.mutation = new graphql.GraphQLObjectType({ name: 'Mutation', fields: mutationFields });
+  }
+  return new graphql.GraphQLSchema(schema);
+};
+
+let addCollectionFields = function(server, registeredCollection, itemClass, queryFields, mutationFields) {
+  let collectionName = _.camelCase(registeredCollection.name);
+  let itemName = _.camelCase(itemClass.name);
+  let itemType = makeItemType(server, registeredCollection, itemClass);
+  let itemInputType = makeItemInputType(itemClass);
+  let resolveField = function(source, route, handle) {
+    return server.resolveGraphQLField(source.ctx, registeredCollection, route, handle);
+  };
+  let toItem = (source, body) => body && _.assign({ ctx: source.ctx }, body);
+
+  queryFields[itemName] = {
+    type: itemType,
+    args: { id: { type: new graphql.GraphQLNonNull(graphql.GraphQLID) } },
+    async resolve(source, args) {
+      let body = await resolveField(source, { method: 'getItem', httpMethod: 'GET', options: { errorIfMissing: false } }, ctx => {
+        return server.handleGetItemRequest(ctx, args.id);
+      });
+      return toItem(source, body);
+    }
+  };
+
+  queryFields[collectionName] = {
+    type: new graphql.GraphQLObjectType({
+      name: registeredCollection.name + 'Page',
+      fields: {
+        items: { type: new graphql.GraphQLList(itemType) },
+        nextCursor: { type: graphql.GraphQLString }
+      }
+    }),
+    args: {
+      query: { type: JSONType },
+      order: { type: new graphql.GraphQLList(graphql.GraphQLString) },
+      limit: { type: graphql.GraphQLInt },
+      cursor: { type: graphql.GraphQLString }
+    },
+    async resolve(source, args) {
+      let options = _.assign(_.omit(args, value => value == null), { envelope: true });
+      let body = await resolveField(source, { method: 'findItems', httpMethod: 'GET', options }, ctx => {
+        return server.handleFindItemsRequest(ctx);
+      });
+      return {
+        items: body.items.map(item => toItem(source, item)),
+        nextCursor: body.nextCursor
+      };
+    }
+  };
+
+  queryFields[collectionName + 'Count'] = {
+    type: graphql.GraphQLInt,
+    args: { query: { type: JSONType } },
+    resolve(source, args) {
+      let options = _.omit(args, value => value == null);
+      return resolveField(source, { method: 'countItems', httpMethod: 'GET', options }, ctx => {
+        return server.handleCountItemsRequest(ctx);
+      });
+    }
+  };
+
+  mutationFields['post' + itemClass.name] = {
+    type: itemType,
+    args: { value: { type: new graphql.GraphQLNonNull(itemInputType) } },
+    async resolve(source, args) {
+      let body = await resolveField(source, { method: 'postItem', httpMethod: 'POST', body: args.value }, ctx => {
+        return server.handlePostItemRequest(ctx);
+      });
+      return toItem(source, body);
+    }
+  };
+
+  mutationFields['put' + itemClass.name] = {
+    type: itemType,
+    args: {
+      id: { type: new graphql.GraphQLNonNull(graphql.GraphQLID) },
+      value: { type: new graphql.GraphQLNonNull(itemInputType) }
+    },
+    async resolve(source, args) {
+      let value = args.value;
+      let primaryKeyName = itemClass.prototype.primaryKeyName;
+      if (primaryKeyName && value[primaryKeyName] == null) {
+        value = _.assign({ [primaryKeyName]: args.id }, value);
+      }
+      let body = await resolveField(source, { method: 'putItem', httpMethod: 'PUT', body: value }, ctx => {
+        return server.handlePutItemRequest(ctx, args.id);
+      });
+      return toItem(source, body);
+    }
+  };
+
+  mutationFields['delete' + itemClass.name] = {
+    type: graphql.GraphQLBoolean,
+    args: { id: { type: new graphql.GraphQLNonNull(graphql.GraphQLID) } },
+    resolve(source, args) {
+      return resolveField(source, { method: 'deleteItem', httpMethod: 'DELETE', options: { errorIfMissing: false } }, ctx => {
+        return server.handleDeleteItemRequest(ctx, args.id);
+      });
+    }
+  };
+
+  _.forOwn(registeredCollection.collectionMethods, (fn, method) => {
+    let name = collectionName + _.capitalize(method);
+    queryFields[name] = {
+      type: JSONType,
+      args: { options: { type: JSONType } },
+      resolve(source, args) {
+        return resolveField(source, { method, httpMethod: 'GET', options: args.options }, ctx => {
+          return server.handleCustomCollectionMethodRequest(ctx, method);
+        });
+      }
+    };
+    mutationFields[name] = {
+      type: JSONType,
+      args: { body: { type: JSONType }, options: { type: JSONType } },
+      resolve(source, args) {
+        let route = { method, httpMethod: 'POST', options: args.options, body: args.body };
+        return resolveField(source, route, ctx => {
+          return server.handleCustomCollectionMethodRequest(ctx, method);
+        });
+      }
+    };
+  });
+
+  _.forOwn(registeredCollection.itemMethods, (fn, method) => {
+    mutationFields[itemName + _.capitalize(method)] = {
+      type: JSONType,
+      args: {
+        id: { type: new graphql.GraphQLNonNull(graphql.GraphQLID) },
+        body: { type: JSONType },
+        options: { type: JSONType }
+      },
+      resolve(source, args) {
+        let route = { method, httpMethod: 'POST', options: args.options, body: args.body };
+        return resolveField(source, route, ctx => {
+          return server.handleCustomItemMethodRequest(ctx, args.id, method);
+        });
+      }
+    };
+  });
+};
+
+// The sources of the item fields are remote item bodies ({ class, value })
+// along with the context of the GraphQL request
+let makeItemType = function(server, registeredCollection, itemClass) {
+  return new graphql.GraphQLObjectType({
+    name: itemClass.name,
+    fields: () => {
+      let fields = {
+        _class: { type: graphql.GraphQLString, resolve: source => source.class }
+      };
+      _.forOwn(itemClass.prototype.properties, (prop, name) => {
+        fields[name] = { type: getPropertyType(prop), resolve: source => source.value[name] };
+      });
+      _.forOwn(registeredCollection.itemMethods, (fn, method) => {
+        if (fields[method]) return; // properties take precedence
+        fields[method] = {
+          type: JSONType,
+          args: { options: { type: JSONType } },
+          resolve(source, args) {
+            let id = source.value[itemClass.prototype.primaryKeyName];
+            let route = { method, httpMethod: 'GET', options: args.options };
+            return server.resolveGraphQLField(source.ctx, registeredCollection, route, ctx => {
+              return server.handleCustomItemMethodRequest(ctx, id, method);
+            });
+          }
+        };
+      });
+      return fields;
+    }
+  });
+};
+
+let makeItemInputType = function(itemClass) {
+  return new graphql.GraphQLInputObjectType({
+    name: itemClass.name + 'Input',
+    fields: () => {
+      let fields = {};
+      _.forOwn(itemClass.prototype.properties, (prop, name) => {
+        fields[name] = { type: getPropertyType(prop) };
+      });
+      return fields;
+    }
+  });
+};
+
+// Dates are represented as ISO strings (like in JSON)
+let getPropertyType = function(prop) {
+  let type = prop.type;
+  if (type === String || type === Date) return graphql.GraphQLString;
+  if (type === Number) return graphql.GraphQLFloat;
+  if (type === Boolean) return graphql.GraphQLBoolean;
+  return JSONType;
+};
+
+// Returns { status, body } where body is the GraphQL response
+// ({ data, errors }). Mutations are only accepted with POST.
+let executeGraphQLRequest = async function(server, ctx, schema, params) {
+  let documentAST;
+  try {
+    documentAST = graphql.parse(new graphql.Source(params.query || '', 'GraphQL request'));
+  } catch (err) {
+    return { status: 400, body: { errors: [graphql.formatError(err)] } };
+  }
+  let validationErrors = graphql.validate(schema, documentAST);
+  if (validationErrors.length) {
+    return { status: 400, body: { errors: validationErrors.map(graphql.formatError) } };
+  }
+  let operation = graphql.getOperationAST(documentAST, params.operationName);
+  if (operation && operation.operation === 'mutation' && ctx.method !== 'POST') {
+    ctx.throw(405, 'mutations must be sent with POST', { code: 'methodNotAllowed' });
+  }
+  let result = await graphql.execute(schema, documentAST, { ctx }, params.variables, params.operationName);
+  let body = { data: result.data };
+  if (result.errors) {
+    body.errors = result.errors.map(err => {
+      let error = graphql.formatError(err);
+      if (!err.originalError) return error;
+      if (ctx.app) ctx.app.emit('error', err.originalError, ctx);
+      return _.assign(error, server.serializeError(ctx, err.originalError));
+    });
+  }
+  return { status: 200, body };
+};
+
+module.exports = {
+  createGraphQLSchema,
+  executeGraphQLRequest
+};
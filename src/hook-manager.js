@@ -0,0 +1,49 @@
+'use strict';
+
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+
+let PHASES = ['before', 'after', 'error'];
+
+// Mixin keeping the hooks called around the handlers of the routes
+// (see KindaRepositoryServer.callHandler). Hooks are keyed by phase
+// ('before', 'after' or 'error') and method name ('getItem', 'findItems',
+// a custom method...), '*' matching all the methods.
+
+let HookManager = KindaObject.extend('HookManager', function() {
+  this.addHook = function(phase, method, fn) {
+    if (!_.contains(PHASES, phase)) throw new Error('invalid hook phase \'' + phase + '\'');
+    if (typeof fn !== 'function') throw new Error('hook \'' + phase + '.' + method + '\' is not a function');
+    if (!this.hasOwnProperty('_hooks')) this._hooks = [];
+    this._hooks.push({ phase, method, fn });
+    return fn;
+  };
+
+  // hooks: { before: { '*': fn, putItem: [fn1, fn2] }, after: {...}, error: {...} }
+  this.addHooks = function(hooks) {
+    _.forOwn(hooks, (methods, phase) => {
+      _.forOwn(methods, (fns, method) => {
+        if (!_.isArray(fns)) fns = [fns];
+        fns.forEach(fn => this.addHook(phase, method, fn));
+      });
+    });
+  };
+
+  this.removeHook = function(phase, method, fn) {
+    if (!this.hasOwnProperty('_hooks')) return;
+    _.remove(this._hooks, hook => hook.phase === phase && hook.method === method && hook.fn === fn);
+  };
+
+  // In the order of registration, the hooks of the prototype (the server
+  // of an API version for example) first
+  this.getHooks = function(phase, method) {
+    let prototype = Object.getPrototypeOf(this);
+    let hooks = prototype.getHooks ? prototype.getHooks(phase, method) : [];
+    if (!this.hasOwnProperty('_hooks')) return hooks;
+    return hooks.concat(this._hooks.filter(hook => {
+      return hook.phase === phase && (hook.method === '*' || hook.method === method);
+    }).map(hook => hook.fn));
+  };
+});
+
+module.exports = HookManager;
@@ -1,33 +1,180 @@
 'use strict';
 
+let crypto = require('crypto');
+let fs = require('fs');
+let os = require('os');
+let STATUS_CODES = require('http').STATUS_CODES;
+let PassThrough = require('stream').PassThrough;
+let Readable = require('stream').Readable;
+let Transform = require('stream').Transform;
 let _ = require('lodash');
 let Qs = require('qs');
 let co = require('co');
 let parseBody = require('co-body');
+let formidable = require('formidable');
 let KindaObject = require('kinda-object');
 let KindaEventManager = require('kinda-event-manager');
 let util = require('kinda-util').create();
+let jsonPatch = require('./json-patch');
+let openAPI = require('./openapi');
+let graphQL = require('./graphql');
+let itemValidation = require('./item-validation');
+let msgpack = require('./msgpack');
+let MemoryRateLimitStore = require('./memory-rate-limit-store');
+let MemoryCacheStore = require('./memory-cache-store');
+let MemoryIdempotencyStore = require('./memory-idempotency-store');
+let TokenManager = require('./token-manager');
+let Auditor = require('./auditor');
+let Metrics = require('./metrics');
+let FileSystemBlobStore = require('./file-system-blob-store');
+let HookManager = require('./hook-manager');
 
-// TODO: authorization verifier, authorize handler, custom methods and event listeners should inherit from super classes
+let DEFAULT_MAX_PAGE_SIZE = 1000;
+let DEFAULT_HEALTH_CHECK_TIMEOUT = 5000;
+let DEFAULT_MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024;
+let DEFAULT_IDEMPOTENCY_KEY_DURATION = 24 * 60 * 60 * 1000;
+let IDEMPOTENCY_LOCK_DURATION = 60 * 1000;
+let MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+let UNREPLAYED_HEADERS = ['content-length', 'x-request-id', 'retry-after'];
+let ATTACHMENT_NAME_REGEXP = /^\w[\w.-]{0,127}$/;
+let INLINE_ATTACHMENT_TYPES = ['text/plain', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+let DEFAULT_AUTHORIZATION_SOURCES = ['header', 'cookie', 'query'];
+let MAX_PENDING_CHANGES = 1000;
+let BATCH_OPERATION_METHODS = { post: 'postItem', put: 'putItem', patch: 'patchItem', delete: 'deleteItem' };
+let CSRF_COOKIE_NAME = 'csrf-token';
+let CSRF_HEADER_NAME = 'X-CSRF-Token';
+let SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+let MERGED_COLLECTION_OPTIONS = [
+  'collectionMethods', 'itemMethods', 'eventListeners', 'fieldPermissions', 'rateLimits', 'cache'
+];
+let JSON_TYPE = 'application/json';
+let NDJSON_TYPE = 'application/x-ndjson';
+let MSGPACK_TYPE = 'application/msgpack';
 
 let RegisteredCollection = KindaObject.extend('RegisteredCollection', function() {
   this.include(KindaEventManager);
+  this.include(HookManager);
 
+  // Options: same handlers as the server (overriding them) plus the
+  // following ones. They are inherited from the options of the parent
+  // collection (see KindaRepositoryServer.getCollectionOptions).
+  //   collectionMethods, itemMethods: custom methods callable with
+  //     GET or POST (true calls the method of the collection or item)
+  //   eventListeners: { willPutItem: async function(request) {...}, ... }
+  //     The events are emitted inside the transaction (if any) of the
+  //     request: what can't be rolled back should be passed to
+  //     request.afterCommit(async function() {...}).
+  //   validators: functions checking the bodies of the requests creating
+  //     or updating items. They return an array of errors which are added
+  //     to the body of the 422 response.
+  //     async function(request) {
+  //       if (request.value.age < 18) {
+  //         return [{ path: 'age', code: 'tooYoung', message: 'should be 18 or more' }];
+  //       }
+  //     }
+  //   rateLimits: same as the server option but the counters are specific
+  //     to the collection ('*' counts all the requests to the collection)
+  //   fieldPermissions: 'read' and 'write' rules of some properties of the
+  //     remote items. A rule is a boolean or a function returning whether
+  //     the client (see request.verifyAuthorizationResult) is allowed.
+  //     Unreadable fields are removed from the responses and writing
+  //     a protected field is rejected with a 403 error. The rules of an item
+  //     are the ones of the collection of its class, whatever the collection
+  //     it is accessed through.
+  //     {
+  //       salary: {
+  //         async read(request) {
+  //           return request.verifyAuthorizationResult.isManager;
+  //         },
+  //         write: false
+  //       }
+  //     }
+  //   scopeHandler: returns the query constraints the items accessible by
+  //     the client must match. They are merged into the options of the find,
+  //     count and find and delete requests (overriding the client's query)
+  //     and the single item requests respond with a 404 error for the items
+  //     outside the scope.
+  //     async function(request) {
+  //       return { ownerId: request.verifyAuthorizationResult.userId };
+  //     }
+  //   cache: durations (in ms) during which the results of the 'getItem',
+  //     'findItems' and 'countItems' requests are kept in the cache of the
+  //     server ('*' applies to the three of them). Entries are keyed by the
+  //     options of the request and the scope of the client, and they are
+  //     invalidated by the changes made through the server (to the
+  //     collection, its parent collections or its subclasses). Authorization,
+  //     events and field permissions still apply to the cached results.
+  //     {
+  //       '*': { duration: 60 * 1000 },
+  //       countItems: { duration: 5 * 1000 }
+  //     }
+  //   hooks: same as the server option, for the methods of the collection
+  //     (called after the hooks of the server)
+  //   streaming: if true, the find and get items requests accept the
+  //     'stream' option, returning all the items in a single response
+  //     (see KindaRepositoryServer.streamItems). They are rate limited and
+  //     authorized as 'streamItems'. Default: false.
+  //   transformers: conversions between the values of the server items and
+  //     the values of the remote items (when the remote class differs, in
+  //     an older API version for example)
+  //     {
+  //       toRemoteValue(value) {
+  //         return _.assign({ name: value.firstName + ' ' + value.lastName }, value);
+  //       },
+  //       toServerValue(value) {
+  //         let [firstName, lastName] = value.name.split(' ');
+  //         return _.assign({ firstName, lastName }, _.omit(value, 'name'));
+  //       }
+  //     }
   this.creator = function(name, options = {}) {
     this.name = name;
     this.slug = _.kebabCase(name);
     this.verifyAuthorizationHandler = options.verifyAuthorizationHandler;
     this.authorizeHandler = options.authorizeHandler;
+    this.authorizeChangeHandler = options.authorizeChangeHandler;
+    this.maxPageSize = options.maxPageSize;
     this.collectionMethods = options.collectionMethods || {};
     this.itemMethods = options.itemMethods || {};
+    this.validators = options.validators || [];
+    this.rateLimits = options.rateLimits;
+    this.fieldPermissions = options.fieldPermissions || {};
+    this.scopeHandler = options.scopeHandler;
+    this.cache = options.cache;
+    this.streaming = Boolean(options.streaming);
+    this.transformers = options.transformers;
     _.forOwn(options.eventListeners, (fn, event) => {
       this.on(event, fn);
     });
+    if (options.hooks) this.addHooks(options.hooks);
+    this.changesBufferSize = options.changesBufferSize;
+    if (this.changesBufferSize == null) this.changesBufferSize = 100;
+    this.changes = [];
+    this.lastChangeId = 0;
+    this.changeSubscribers = [];
+  };
+
+  // Recent changes are kept in memory so a subscriber can resume
+  // from its last received event
+  this.publishChange = function(change) {
+    change.id = ++this.lastChangeId;
+    this.changes.push(change);
+    if (this.changes.length > this.changesBufferSize) this.changes.shift();
+    this.changeSubscribers.forEach(fn => fn(change));
+  };
+
+  this.getChangesSince = function(id) {
+    return this.changes.filter(change => change.id > id);
+  };
+
+  this.subscribeChanges = function(fn) {
+    this.changeSubscribers.push(fn);
+    return () => _.pull(this.changeSubscribers, fn);
   };
 });
 
 let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function() {
   this.include(KindaEventManager);
+  this.include(HookManager);
 
   // Options:
   //   signInWithCredentialsHandler:
@@ -53,41 +200,383 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
   //     async function(request) {
   //       return request.verifyAuthorizationResult || request.method === 'GET';
   //     }
+  //   authorizeChangeHandler: decide which changes a subscriber of the
+  //     '/<collection>/changes' route receives (all of them by default)
+  //     async function(request) {
+  //       return request.item.ownerId === request.verifyAuthorizationResult.userId;
+  //     }
+  //   maxPageSize: maximum number of items returned by a find items request
+  //     (can be overridden per collection). Default: 1000.
+  //   errorMapper: converts the errors thrown while handling a request
+  //     (repository or handler errors) into error responses. Returning
+  //     undefined keeps the default (500 'internalError' unless the
+  //     error is an HTTP error).
+  //     function(err, ctx) {
+  //       if (err.message.startsWith('item not found')) {
+  //         return { status: 404, code: 'itemNotFound', message: err.message };
+  //       }
+  //     }
+  //   openAPIInfo: 'info' object of the OpenAPI document served by
+  //     '/openapi.json'. Default: { title: remoteRepository.name, version: '1.0.0' }
+  //   rateLimits: maximum number of requests per client (identified by its
+  //     authorization once verified by a verifyAuthorizationHandler or the
+  //     token manager, or its IP address) during a period of time (in ms).
+  //     Limits are keyed by method name ('findItems', 'putItem', custom
+  //     methods...), '*' counting all the requests to the server.
+  //     Every operation of a batch also counts against the limit of its
+  //     method ('postItem', 'putItem', 'patchItem' or 'deleteItem').
+  //     {
+  //       '*': { max: 1000, duration: 60 * 1000 },
+  //       findAndDeleteItems: { max: 10, duration: 60 * 1000 }
+  //     }
+  //   rateLimitStore: where the counters are kept. Default: in memory.
+  //     {
+  //       async increment(key, duration) {
+  //         // returns { count, resetTime }
+  //       }
+  //     }
+  //   tokenManager: options of the built-in token manager (see
+  //     token-manager.js). When set, the '/authorizations' routes issue,
+  //     verify, refresh and revoke signed tokens. The value returned by
+  //     signInWithCredentialsHandler is associated to the token and becomes
+  //     the result of verifyAuthorization (unless verifyAuthorizationHandler
+  //     is set, in which case it receives the token in 'request.token').
+  //     { secret: 'a-long-random-string', duration: 60 * 60 * 1000 }
+  //   authorizationSources: where the authorization is read from, in order
+  //     of precedence. 'header' is an 'Authorization: Bearer <token>' header,
+  //     'cookie' the session cookie (see authorizationCookie) and 'query' the
+  //     'authorization' parameter of the query string.
+  //     Default: ['header', 'cookie', 'query']
+  //   authorizationCookie: name of the session cookie. When set, signing in
+  //     with credentials sets the session cookie (HTTP only) and a
+  //     'csrf-token' cookie. Requests authorized by the session cookie only,
+  //     other than GET, HEAD and OPTIONS, must repeat the value of the
+  //     'csrf-token' cookie in a 'X-CSRF-Token' header.
+  //   authorizationCookieOptions: options of the cookies (see the 'cookies'
+  //     module). Default: { httpOnly: true }
+  //   audit: options of the auditor (see auditor.js). When set, the changes
+  //     (put, delete, find and delete, custom POST methods and attachments)
+  //     are recorded with their author once committed, and can be queried
+  //     with the '/audit-log' route. This route is denied unless the
+  //     authorizeHandler allows the 'getAuditLog' method (the entries of
+  //     every client and collection are returned, without any scope).
+  //     The values are recorded as remote values, without the fields
+  //     having a read rule (see getAuditedValue).
+  //     { identityHandler(request) { return request.verifyAuthorizationResult.userId; } }
+  //   cacheStore: where the results cached by the collections having
+  //     a 'cache' option are kept. Default: in memory.
+  //     {
+  //       async get(namespace, key) {}, // returns the value or undefined
+  //       async set(namespace, key, value, duration) {},
+  //       async clear(namespace) {} // deletes all the entries of the namespace
+  //     }
+  //   idempotencyStore: where the responses of the POST requests having an
+  //     'Idempotency-Key' header are kept (see callIdempotentHandler).
+  //     Default: in memory.
+  //     {
+  //       async get(key) {}, // returns the value or undefined
+  //       async add(key, value, duration) {}, // atomic, returns false if the key exists
+  //       async set(key, value, duration) {},
+  //       async delete(key) {}
+  //     }
+  //   idempotencyKeyDuration: how long (in ms) the responses are kept.
+  //     Default: 24 hours.
+  //   metrics: options of the request metrics (see metrics.js). When set,
+  //     the requests are counted and timed by collection and method, and
+  //     the '/metrics' route (authorized as 'getMetrics') serves the
+  //     results in the Prometheus text format.
+  //     { buckets: [0.01, 0.1, 1] }
+  //   healthCheckTimeout: maximum time (in ms) of each check made by the
+  //     '/health' route. Default: 5000.
+  //   attachments: when set, files can be attached to the items with the
+  //     '/<collection>/<id>/attachments/<name>' route: PUT (a raw body or the
+  //     first file of a 'multipart/form-data' body), GET and DELETE. They are
+  //     authorized like the item ('putAttachment', 'getAttachment' and
+  //     'deleteAttachment' methods) and deleting an item deletes its
+  //     attachments. Putting an attachment emits the 'willPutAttachment' and
+  //     'didPutAttachment' events (with the item, the name of the attachment
+  //     and, in 'didPutAttachment', the stored metadata as 'attachment'),
+  //     deleting one the 'willDeleteAttachment' and 'didDeleteAttachment'
+  //     events (the item itself is not saved). Only plain text and images
+  //     (but SVG) are served inline. Options:
+  //     {
+  //       store: where the files are kept. Default: a FileSystemBlobStore
+  //         (see file-system-blob-store.js) in 'directory'.
+  //         {
+  //           async put(key, stream, metadata) {}, // returns the metadata with the size
+  //           async get(key) {}, // returns { metadata, stream } or undefined
+  //           async delete(key) {}, // returns true if the file existed
+  //           async deleteAll(prefix) {} // deletes the files of an item
+  //         }
+  //       directory: Default: './attachments'.
+  //       maxSize: maximum size of a file in bytes. Default: 100mb.
+  //     }
+  //   graphQL: if true, the '/graphql' route executes GraphQL queries (GET
+  //     or POST) and mutations (POST only) against a schema generated from
+  //     the registered collections (see graphql.js). Every field is handled
+  //     like the equivalent REST request (rate limits, authorization,
+  //     events...) and its errors are serialized in the 'errors' array.
+  //   hooks: functions called in order around the handler of every route,
+  //     keyed by phase and method name ('getItem', 'findItems', 'signOut',
+  //     a custom method...) or '*' for all the methods. The 'before' hooks
+  //     are called first, then the handler and the 'after' hooks or, if the
+  //     handler or a hook failed, the 'error' hooks. Hooks can also be added
+  //     with addHook(phase, method, fn) (by a plugin for example).
+  //     {
+  //       before: {
+  //         '*': async function(request) {
+  //           request.context.set('X-Served-By', 'api-1');
+  //         }
+  //       },
+  //       after: {
+  //         findItems: [async function(request) {
+  //           request.result = request.result.filter(...); // replaces the body
+  //         }]
+  //       },
+  //       error: {
+  //         '*': async function(request) {
+  //           if (request.error.code === 'itemNotFound') {
+  //             request.error = undefined; // recovers with request.result
+  //             request.result = { missing: true };
+  //           }
+  //         }
+  //       }
+  //     }
+  //     'request' also contains the method, the registered collection (if
+  //     any), verifyAuthorizationResult and authorizeResult.
+  //   eventListeners: listeners of the events of every collection (called
+  //     before the listeners of the collection), same as server.on(event, fn).
+  //     'request.registeredCollection' is the collection of the event.
+  //     { async didPutItem(request) { ... } }
+  //   collections: options of the registered collections by name (see
+  //     RegisteredCollection). A collection whose class extends the class of
+  //     another registered collection inherits its options: the handlers and
+  //     other values are overridden, the methods, listeners, field
+  //     permissions, rate limits, cache durations and hooks are overridden
+  //     by name and the validators are added. Set an inherited handler
+  //     to null to remove it.
+  //     {
+  //       Users: { itemMethods: { resetPassword: true } },
+  //       Superusers: { collectionMethods: { promote: true } } // + resetPassword
+  //     }
+  //   collectionDefaults: options inherited by the collections without
+  //     a parent collection (and so by all the collections)
+  //   versions: API versions having their own remote repository and
+  //     collection options (including their transformers). A version is
+  //     selected by the first segment of the path ('/v1/users') or, when the
+  //     path doesn't start with a version, by the 'Accept-Version' header.
+  //     Without both, the remote repository and the collections of the
+  //     server are used. The changes made through any version are published
+  //     to the subscribers of all the versions.
+  //     {
+  //       v1: {
+  //         remoteRepository: remoteRepositoryV1, // Default: repository
+  //         collections: { Users: { transformers: {...} } },
+  //         collectionDefaults: {...},
+  //         openAPIInfo: {...} // Default: { version: 'v1' }
+  //       },
+  //       v2: { remoteRepository: remoteRepositoryV2 }
+  //     }
   this.creator = function(options = {}) {
     if (!options.repository) throw new Error('repository is missing');
     this.repository = options.repository;
     this.remoteRepository = options.remoteRepository || options.repository;
+    this.rootServer = this;
     _.assign(this, _.pick(options, [
       'signInWithCredentialsHandler',
       'signInWithAuthorizationHandler',
       'signOutHandler',
       'verifyAuthorizationHandler',
-      'authorizeHandler'
+      'authorizeHandler',
+      'authorizeChangeHandler',
+      'maxPageSize',
+      'errorMapper',
+      'openAPIInfo',
+      'rateLimits',
+      'rateLimitStore',
+      'cacheStore',
+      'idempotencyStore',
+      'idempotencyKeyDuration',
+      'authorizationSources',
+      'authorizationCookie',
+      'authorizationCookieOptions',
+      'healthCheckTimeout',
+      'graphQL'
     ]));
+    if (!this.authorizationSources) this.authorizationSources = DEFAULT_AUTHORIZATION_SOURCES;
+    if (!this.maxPageSize) this.maxPageSize = DEFAULT_MAX_PAGE_SIZE;
+    if (!this.healthCheckTimeout) this.healthCheckTimeout = DEFAULT_HEALTH_CHECK_TIMEOUT;
+    if (!this.rateLimitStore) this.rateLimitStore = MemoryRateLimitStore.create();
+    if (!this.cacheStore) this.cacheStore = MemoryCacheStore.create();
+    if (!this.idempotencyStore) this.idempotencyStore = MemoryIdempotencyStore.create();
+    if (!this.idempotencyKeyDuration) this.idempotencyKeyDuration = DEFAULT_IDEMPOTENCY_KEY_DURATION;
+    if (options.hooks) this.addHooks(options.hooks);
+    _.forOwn(options.eventListeners, (fn, event) => {
+      this.on(event, fn);
+    });
+    let privateCollectionNames = [];
+    if (options.tokenManager) {
+      this.tokenManager = TokenManager.create(this.repository, options.tokenManager);
+      privateCollectionNames.push(this.tokenManager.collectionName);
+    }
+    if (options.audit) {
+      this.auditor = Auditor.create(this.repository, options.audit);
+      privateCollectionNames.push(this.auditor.collectionName);
+    }
+    if (options.metrics) this.metrics = Metrics.create(options.metrics);
+    if (options.attachments) {
+      let attachmentOptions = options.attachments;
+      this.attachmentStore = attachmentOptions.store || FileSystemBlobStore.create(attachmentOptions);
+      this.maxAttachmentSize = attachmentOptions.maxSize || DEFAULT_MAX_ATTACHMENT_SIZE;
+    }
+    this.privateCollectionNames = privateCollectionNames;
+    this.registerCollections(options);
+    if (options.versions) {
+      this.versions = {};
+      _.forOwn(options.versions, (versionOptions, name) => {
+        this.versions[name] = this.createVersion(name, versionOptions);
+      });
+    }
+  };
+
+  // A version is a server inheriting from this one (handlers, stores,
+  // hooks, listeners...) with its own remote repository and collections
+  this.createVersion = function(name, options = {}) {
+    let version = Object.create(this);
+    version.versionName = name;
+    version.remoteRepository = options.remoteRepository || this.repository;
+    version.openAPIInfo = _.assign({ version: name }, this.openAPIInfo, options.openAPIInfo);
+    version.graphQLSchema = undefined;
+    version.registerCollections(options);
+    return version;
+  };
+
+  // The server and its versions
+  this.getVersions = function() {
+    let rootServer = this.rootServer;
+    return [rootServer].concat(_.values(rootServer.versions));
+  };
+
+  // options: 'collections' and 'collectionDefaults' (see the server options)
+  this.registerCollections = function(options) {
     this.registeredCollections = {};
-    let collectionOptions = options.collections || {};
-    _.forOwn(this.remoteRepository.collectionClasses, (klass, name) => {
+    this.remoteItemClassNames = _.map(this.remoteRepository.collectionClasses, klass => klass.prototype.Item.name);
+    let names = _.difference(_.keys(this.remoteRepository.collectionClasses), this.privateCollectionNames);
+    names.forEach(name => {
       if (!this.repository.collectionClasses[name]) {
         throw new Error('collection \'' + name + '\' is undefined in the server repository');
       }
-      this.registerCollection(name, collectionOptions[name]);
+    });
+    let inheritedOptions = {};
+    names.forEach(name => {
+      let collectionOptions = this.getCollectionOptions(name, names, options, inheritedOptions);
+      this.registerCollection(name, collectionOptions);
     });
   };
 
+  // Returns the options of a collection merged into the options of its
+  // parent (the closest registered collection its class extends)
+  // or, for a root collection, into the 'collectionDefaults' option
+  this.getCollectionOptions = function(name, names, serverOptions, cache = {}) {
+    if (cache.hasOwnProperty(name)) return cache[name];
+    let klass = this.remoteRepository.collectionClasses[name];
+    let parentName;
+    names.forEach(otherName => {
+      if (otherName === name) return;
+      let otherClass = this.remoteRepository.collectionClasses[otherName];
+      if (!klass.prototype.isInstanceOf(otherClass)) return;
+      if (parentName) {
+        let parentClass = this.remoteRepository.collectionClasses[parentName];
+        if (!otherClass.prototype.isInstanceOf(parentClass)) return;
+      }
+      parentName = otherName;
+    });
+    let parentOptions = parentName ?
+      this.getCollectionOptions(parentName, names, serverOptions, cache) :
+      serverOptions.collectionDefaults;
+    let ownOptions = serverOptions.collections && serverOptions.collections[name];
+    let options = inheritCollectionOptions(parentOptions || {}, ownOptions || {});
+    cache[name] = options;
+    return options;
+  };
+
   this.use = function(plugin) {
     plugin.plug(this);
   };
 
   this.registerCollection = function(name, options) {
     let collection = RegisteredCollection.create(name, options);
+    // the subscribers don't see the changes rolled back
+    collection.on('didPutItem', request => {
+      return request.afterCommit(() => this.publishChangeToAllVersions(collection, 'put', request));
+    });
+    collection.on('didDeleteItem', request => {
+      return request.afterCommit(() => this.publishChangeToAllVersions(collection, 'delete', request));
+    });
+    if (this.auditor) this.auditor.watch(collection, this);
+    let invalidateCache = async function() {
+      await this.invalidateCache(collection);
+    }.bind(this);
+    collection.on('didPutItem', invalidateCache);
+    collection.on('didDeleteItem', invalidateCache);
+    collection.on('didFindAndDeleteItems', invalidateCache);
+    collection.on('didCallCollectionMethod', async function(request) {
+      if (request.httpMethod === 'POST') await invalidateCache();
+    });
+    collection.on('didCallItemMethod', async function(request) {
+      if (request.httpMethod === 'POST') await invalidateCache();
+    });
     this.registeredCollections[collection.slug] = collection;
   };
 
+  // The remote items of the other versions are converted from the server item
+  this.publishChangeToAllVersions = function(registeredCollection, type, request) {
+    this.getVersions().forEach(version => {
+      if (version === this) {
+        version.publishChange(registeredCollection, type, request);
+        return;
+      }
+      let otherCollection = version.registeredCollections[registeredCollection.slug];
+      if (!otherCollection) return;
+      version.publishChange(otherCollection, type, _.omit(request, 'remoteItem'));
+    });
+  };
+
+  this.publishChange = function(registeredCollection, type, request) {
+    let item = request.item;
+    let remoteItem = request.remoteItem;
+    if (!remoteItem) remoteItem = this.toRemoteItem(item);
+    registeredCollection.publishChange({
+      type,
+      item,
+      remoteItem,
+      data: JSON.stringify({
+        class: remoteItem.class.name,
+        value: remoteItem.serialize()
+      })
+    });
+  };
+
+  // Once a request is handled (and unless it is passed to the downstream
+  // middleware), the server emits a 'didHandleRequest' event:
+  //   { requestId, collection, method, httpMethod, path, status, duration }
+  // where 'collection' is the slug of the collection (if any), 'method' the
+  // name of the route ('findItems', a custom method...) and 'duration' the
+  // time spent in ms.
   this.handleRequest = async function(ctx, path, next) {
+    let startTime = process.hrtime();
     let query = Qs.parse(ctx.querystring);
     query = util.decodeValue(query);
     ctx.options = query;
-    ctx.authorization = this.authorizationUnserializer({ query });
+    let requestId = ctx.get('X-Request-ID');
+    if (!/^[\w-]{1,64}$/.test(requestId)) requestId = crypto.randomBytes(8).toString('hex');
+    ctx.requestId = requestId;
+    ctx.set('X-Request-ID', requestId);
+    ctx.authorization = this.authorizationUnserializer({
+      query,
+      headers: ctx.headers,
+      cookies: ctx.cookies
+    });
 
     let slug = path;
     if (_.startsWith(slug, '/')) slug = slug.slice(1);
@@ -99,18 +588,156 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
       path = '';
     }
 
-    await this._handleRequest(ctx, slug, path, next);
+    let server = this;
+    if (this.versions && this.versions.hasOwnProperty(slug)) {
+      server = this.versions[slug];
+      slug = path.slice(1);
+      index = slug.indexOf('/');
+      if (index !== -1) {
+        path = slug.slice(index);
+        slug = slug.slice(0, index);
+      } else {
+        path = '';
+      }
+    }
+
+    // errors thrown by the downstream middleware are not ours to serialize
+    let isDownstream = false;
+    let downstream = function *() {
+      isDownstream = true;
+      yield next;
+    };
+
+    try {
+      // the other requests are passed to the downstream middleware untouched
+      let hasRoute = _.some(this.getVersions(), version => version.hasRoute(slug, path));
+      if (server === this && this.versions && hasRoute) server = this.selectVersion(ctx);
+      await server._handleRequest(ctx, slug, path, downstream);
+    } catch (err) {
+      if (isDownstream) throw err;
+      this.writeError(ctx, err);
+    }
+    if (isDownstream) return;
+    this.formatBody(ctx);
+    await this.recordTiming(ctx, startTime);
+  };
+
+  // Returns the version selected by the 'Accept-Version' header (or
+  // the server itself if the header is missing)
+  this.selectVersion = function(ctx) {
+    ctx.vary('Accept-Version');
+    let name = ctx.get('Accept-Version');
+    if (!name) return this;
+    if (!this.versions.hasOwnProperty(name)) {
+      ctx.throw(400, 'unknown version \'' + name + '\'', {
+        code: 'unknownVersion', details: { versions: _.keys(this.versions) }
+      });
+    }
+    return this.versions[name];
+  };
+
+  this.recordTiming = async function(ctx, startTime) {
+    let elapsedTime = process.hrtime(startTime);
+    let timing = {
+      requestId: ctx.requestId,
+      collection: ctx.registeredCollection && ctx.registeredCollection.slug,
+      method: ctx.methodName,
+      httpMethod: ctx.method,
+      path: ctx.path,
+      status: ctx.status,
+      duration: elapsedTime[0] * 1000 + elapsedTime[1] / 1000000
+    };
+    if (this.metrics) this.metrics.record(timing);
+    try {
+      await this.emit('didHandleRequest', timing);
+    } catch (err) {
+      if (ctx.app) ctx.app.emit('error', err, ctx); // a listener can't fail the request
+    }
+  };
+
+  // Responses are JSON unless the client prefers (with the 'Accept' header)
+  // NDJSON (one line per element of an array) or MessagePack
+  this.formatBody = function(ctx) {
+    let body = ctx.body;
+    if (body == null || Buffer.isBuffer(body) || typeof body.pipe === 'function') return;
+    if (typeof body === 'string') {
+      if (!ctx.response.is('json')) return;
+      body = JSON.parse(body);
+    }
+    ctx.vary('Accept');
+    let type = ctx.accepts(JSON_TYPE, NDJSON_TYPE, MSGPACK_TYPE);
+    if (type === NDJSON_TYPE) {
+      let lines = _.isArray(body) ? body : [body];
+      let index = 0;
+      let stream = new Readable();
+      stream._read = function() {
+        this.push(index < lines.length ? JSON.stringify(lines[index++]) + '\n' : null);
+      };
+      ctx.type = NDJSON_TYPE;
+      ctx.body = stream;
+    } else if (type === MSGPACK_TYPE) {
+      ctx.type = MSGPACK_TYPE;
+      ctx.body = msgpack.encode(body);
+    }
+  };
+
+  // Errors are returned as JSON:
+  //   { code: 'itemNotFound', message: 'item not found', status: 404 }
+  // with an optional 'details' attribute.
+  this.writeError = function(ctx, err) {
+    if (ctx.app) ctx.app.emit('error', err, ctx);
+    let error = this.serializeError(ctx, err);
+    ctx.status = error.status;
+    ctx.body = error;
+  };
+
+  this.serializeError = function(ctx, err) {
+    let error = this.errorMapper && this.errorMapper(err, ctx);
+    if (!error) {
+      if (!err.expose) {
+        return { code: 'internalError', message: 'internal server error', status: 500 };
+      }
+      error = {};
+    }
+    let status = error.status || err.status;
+    if (!STATUS_CODES[status]) status = 500;
+    return {
+      code: error.code || err.code || _.camelCase(STATUS_CODES[status]),
+      message: error.message || err.message,
+      status,
+      details: error.details || err.details
+    };
   };
 
   this._handleRequest = async function(ctx, slug, path, next) {
     // monkey patched in kinda-repository-synchronizer/history-server.js
     if (slug === '') {
-      await this.handleGetRepositoryIdRequest(ctx);
+      await this.callHandler(ctx, 'getRepositoryId', () => this.handleGetRepositoryIdRequest(ctx));
       return;
     }
 
     if (slug === 'ping') {
-      await this.handlePingRequest(ctx);
+      await this.callHandler(ctx, 'ping', () => this.handlePingRequest(ctx));
+      return;
+    }
+
+    if (slug === 'health' && !path) {
+      await this.callHandler(ctx, 'getHealth', () => this.handleGetHealthRequest(ctx));
+      return;
+    }
+
+    if (slug === 'metrics' && !path && this.metrics) {
+      await this.callHandler(ctx, 'getMetrics', () => this.handleGetMetricsRequest(ctx));
+      return;
+    }
+
+    if (slug === 'graphql' && !path && this.graphQL) {
+      await this.callHandler(ctx, 'graphQL', () => this.handleGraphQLRequest(ctx));
+      return;
+    }
+
+    if (slug === 'openapi.json' && !path) {
+      await this.callHandler(ctx, 'getOpenAPIDocument', () => this.handleGetOpenAPIDocumentRequest(ctx));
       return;
     }
 
@@ -119,6 +746,11 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
       return;
     }
 
+    if (slug === 'audit-log' && !path && this.auditor) {
+      await this.callHandler(ctx, 'getAuditLog', () => this.handleGetAuditLogRequest(ctx));
+      return;
+    }
+
     let registeredCollection = this.registeredCollections[slug];
     if (registeredCollection) {
       await this.handleCollectionRequest(ctx, registeredCollection, path, next);
@@ -128,29 +760,103 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
     await co(next);
   };
 
+  // Whether _handleRequest has a route for 'slug' (keep them in sync)
+  this.hasRoute = function(slug, path) {
+    if (_.contains(['', 'ping', 'authorizations'], slug)) return true;
+    if (!path && _.contains(['health', 'openapi.json'], slug)) return true;
+    if (!path && slug === 'metrics' && this.metrics) return true;
+    if (!path && slug === 'graphql' && this.graphQL) return true;
+    if (!path && slug === 'audit-log' && this.auditor) return true;
+    return _.has(this.registeredCollections, slug);
+  };
+
+  // Bodies are JSON unless the 'Content-Type' header is NDJSON
+  // (read as an array) or MessagePack
   this.readBody = async function(ctx) {
-    ctx.request.body = await co(function *() {
-      return yield parseBody.json(ctx, { limit: '8mb' });
+    if (ctx.request.hasOwnProperty('body')) return; // already read (GraphQL fields)
+    let type = ctx.is(NDJSON_TYPE, MSGPACK_TYPE);
+    if (!type) {
+      ctx.request.body = await co(function *() {
+        return yield parseBody.json(ctx, { limit: '8mb' });
+      });
+      return;
+    }
+    let encoding = type === MSGPACK_TYPE ? 'binary' : 'utf8';
+    let data = await co(function *() {
+      return yield parseBody.text(ctx, { limit: '8mb', encoding });
     });
+    try {
+      if (type === MSGPACK_TYPE) {
+        ctx.request.body = msgpack.decode(new Buffer(data, 'binary'));
+      } else {
+        ctx.request.body = data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      }
+    } catch (err) {
+      ctx.throw(400, 'invalid body (' + err.message + ')', { code: 'invalidBody' });
+    }
   };
 
   this.authorizationUnserializer = function(obj) { // can be overridden
-    return obj.query && obj.query.authorization;
+    let sources = this.readAuthorizationSources(obj);
+    for (let source of this.authorizationSources) {
+      if (sources[source]) return sources[source];
+    }
+    return undefined;
   };
 
-  this.verifyAuthorization = async function(ctx, method, request) {
-    let handler;
+  this.readAuthorizationSources = function(obj) {
+    let sources = {};
+    sources.query = obj.query && obj.query.authorization;
+    let header = obj.headers && obj.headers.authorization;
+    let matches = header && header.match(/^Bearer\s+(\S+)\s*$/i);
+    if (matches) sources.header = matches[1];
+    if (this.authorizationCookie && obj.cookies) {
+      sources.cookie = obj.cookies.get(this.authorizationCookie);
+    }
+    return sources;
+  };
 
-    if (ctx.registeredCollection) {
-      handler = ctx.registeredCollection.verifyAuthorizationHandler;
+  // A cross-site request carries the session cookie but the other site
+  // can't read the 'csrf-token' cookie to repeat it in a header
+  this.checkCSRFToken = function(ctx) {
+    if (ctx.isCSRFTokenChecked) return;
+    if (!this.authorizationCookie || !ctx.authorization) return;
+    if (_.contains(SAFE_METHODS, ctx.method)) return;
+    let sources = this.readAuthorizationSources({
+      query: ctx.options,
+      headers: ctx.headers,
+      cookies: ctx.cookies
+    });
+    if (sources.cookie !== ctx.authorization) return;
+    if (sources.header === ctx.authorization || sources.query === ctx.authorization) return;
+    let expectedToken = ctx.cookies.get(CSRF_COOKIE_NAME);
+    let token = ctx.get(CSRF_HEADER_NAME);
+    if (!expectedToken || token !== expectedToken) {
+      ctx.throw(403, 'CSRF token mismatch', { code: 'csrfTokenMismatch' });
     }
+  };
 
-    if (!handler) handler = this.verifyAuthorizationHandler;
+  this.writeAuthorizationCookies = function(ctx, authorization) {
+    let options = _.assign({ httpOnly: true }, this.authorizationCookieOptions);
+    ctx.cookies.set(this.authorizationCookie, authorization, options);
+    let csrfToken = authorization ? crypto.randomBytes(16).toString('hex') : undefined;
+    ctx.cookies.set(CSRF_COOKIE_NAME, csrfToken, _.assign({}, options, { httpOnly: false }));
+  };
 
-    if (!handler) return true;
+  this.verifyAuthorization = async function(ctx, method, request) {
+    let handler = this._getVerifyAuthorizationHandler(ctx);
+
+    let token;
+    if (this.tokenManager) token = await this._verifyToken(ctx);
+
+    if (!handler) {
+      if (!this.tokenManager) return true;
+      return token ? token.value || true : false;
+    }
 
     request = _.clone(request) || {};
     request.authorization = ctx.authorization;
+    request.token = token;
     request.collection = ctx.collection;
     request.remoteCollection = ctx.remoteCollection;
     request.method = method;
@@ -158,6 +864,24 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
     return await handler(request);
   };
 
+  this._getVerifyAuthorizationHandler = function(ctx) {
+    let handler;
+    if (ctx.registeredCollection) {
+      handler = ctx.registeredCollection.verifyAuthorizationHandler;
+    }
+    if (!handler) handler = this.verifyAuthorizationHandler;
+    return handler;
+  };
+
+  // Verified only once per request (batches check the authorization of
+  // every operation)
+  this._verifyToken = async function(ctx) {
+    if (!ctx.hasOwnProperty('token')) {
+      ctx.token = await this.tokenManager.verifyToken(ctx.authorization);
+    }
+    return ctx.token;
+  };
+
   this.authorize = async function(ctx, method, request) {
     let handler;
 
@@ -179,24 +903,293 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
   };
 
   this.verifyAuthorizationAndAuthorize = async function(ctx, method, request) {
+    this.checkCSRFToken(ctx);
     ctx.verifyAuthorizationResult = await this.verifyAuthorization(ctx, method, request);
     ctx.authorizeResult = await this.authorize(ctx, method, request);
-    if (!ctx.authorizeResult) ctx.throw(403, 'authorization failed');
+    if (!ctx.authorizeResult) ctx.throw(403, 'authorization failed', { code: 'authorizationFailed' });
+  };
+
+  // === Rate limiting ===
+
+  // Counts the request against every applicable limit and throws a 429
+  // error as soon as one of them is exceeded
+  this.limitRate = async function(ctx, method) {
+    ctx.methodName = method; // every handler starts here (see recordTiming)
+    if (ctx.rateLimitedMethod === method) return; // already counted (see callIdempotentHandler)
+    ctx.rateLimitedMethod = method;
+    await this._incrementRateLimits(ctx, method, this._getRateLimits(ctx, method));
+  };
+
+  this._incrementRateLimits = async function(ctx, method, limits) {
+    if (!limits.length) return;
+    // an unverified authorization could be changed at every request (and
+    // without a verifier, any authorization is accepted)
+    let client = ctx.ip;
+    if (ctx.authorization && (this._getVerifyAuthorizationHandler(ctx) || this.tokenManager)) {
+      await this._verifyAuthorizationOnce(ctx, method);
+      if (ctx.verifyAuthorizationResult) client = ctx.authorization;
+    }
+    let results = [];
+    for (let limit of limits) {
+      let counter = await this.rateLimitStore.increment(limit.scope + ':' + client, limit.duration);
+      results.push({
+        max: limit.max,
+        remaining: Math.max(limit.max - counter.count, 0),
+        resetTime: counter.resetTime,
+        isExceeded: counter.count > limit.max
+      });
+    }
+    let exceeded = _.filter(results, 'isExceeded');
+    let result;
+    if (exceeded.length) {
+      result = _.max(exceeded, 'resetTime');
+    } else {
+      result = _.min(results, 'remaining');
+    }
+    ctx.set('X-RateLimit-Limit', String(result.max));
+    ctx.set('X-RateLimit-Remaining', String(result.remaining));
+    ctx.set('X-RateLimit-Reset', String(Math.ceil(result.resetTime / 1000)));
+    if (result.isExceeded) {
+      let retryAfter = Math.max(Math.ceil((result.resetTime - Date.now()) / 1000), 0);
+      ctx.set('Retry-After', String(retryAfter));
+      ctx.throw(429, 'too many requests', { code: 'tooManyRequests', details: { retryAfter } });
+    }
+  };
+
+  // Options:
+  //   includeAll: whether the '*' limits are included. Default: true.
+  this._getRateLimits = function(ctx, method, options = {}) {
+    let limits = [];
+    let addLimits = (rateLimits, scope) => {
+      if (!rateLimits) return;
+      if (rateLimits['*'] && options.includeAll !== false) limits.push(_.assign({ scope: scope + '*' }, rateLimits['*']));
+      if (rateLimits[method]) limits.push(_.assign({ scope: scope + method }, rateLimits[method]));
+    };
+    addLimits(this.rateLimits, '');
+    let registeredCollection = ctx.registeredCollection;
+    if (registeredCollection) addLimits(registeredCollection.rateLimits, registeredCollection.slug + '.');
+    return limits;
+  };
+
+  this.authorizeChange = async function(ctx, change) {
+    let handler = ctx.registeredCollection.authorizeChangeHandler;
+    if (!handler) handler = this.authorizeChangeHandler;
+    if (!handler) return true;
+    let request = {};
+    request.verifyAuthorizationResult = ctx.verifyAuthorizationResult;
+    request.authorizeResult = ctx.authorizeResult;
+    request.collection = ctx.collection;
+    request.remoteCollection = ctx.remoteCollection;
+    request.method = 'getChanges';
+    request.options = ctx.options;
+    request.type = change.type;
+    request.item = change.item;
+    request.remoteItem = change.remoteItem;
+    return await handler(request);
+  };
+
+  // === Hooks ===
+
+  // Calls the handler of a route between its hooks (see the 'hooks' option).
+  // The hooks of the server are called before the ones of the collection.
+  this.callHandler = async function(ctx, method, handle) {
+    ctx.methodName = method;
+    let request = { context: ctx, method, registeredCollection: ctx.registeredCollection };
+    try {
+      await this.runHooks(ctx, 'before', request);
+      await handle();
+      request.result = ctx.body;
+      await this.runHooks(ctx, 'after', request);
+      if (request.result !== ctx.body) ctx.body = request.result;
+    } catch (err) {
+      request.error = err;
+      await this.runHooks(ctx, 'error', request);
+      if (request.error) throw request.error;
+      ctx.body = request.result;
+    }
+  };
+
+  this.runHooks = async function(ctx, phase, request) {
+    let hooks = this.getHooks(phase, request.method);
+    if (request.registeredCollection) {
+      hooks = hooks.concat(request.registeredCollection.getHooks(phase, request.method));
+    }
+    for (let hook of hooks) {
+      request.verifyAuthorizationResult = ctx.verifyAuthorizationResult;
+      request.authorizeResult = ctx.authorizeResult;
+      await hook.call(this, request);
+    }
+  };
+
+  // === Idempotency ===
+
+  // Like callHandler but, when a POST request has an 'Idempotency-Key'
+  // header, its response is stored (by client and key) and replayed to the
+  // retries of the same request without calling the handler again. Reusing
+  // a key with a different request fails with a 422 error, and with a 409
+  // error while the first request is in progress. Failed requests are not
+  // stored, so they can be retried with the same key. The retries are rate
+  // limited and their authorization is verified, as the first request.
+  this.callIdempotentHandler = async function(ctx, method, handle) {
+    let key = ctx.get('Idempotency-Key');
+    if (ctx.method !== 'POST' || !key) {
+      await this.callHandler(ctx, method, handle);
+      return;
+    }
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      ctx.throw(400, 'invalid idempotency key', { code: 'invalidIdempotencyKey' });
+    }
+    await this.limitRate(ctx, method);
+    this.checkCSRFToken(ctx);
+    await this._verifyAuthorizationOnce(ctx, method);
+    if (!ctx.verifyAuthorizationResult) ctx.throw(403, 'authorization failed', { code: 'authorizationFailed' });
+    await this.readBody(ctx);
+    let client = ctx.authorization || ctx.ip;
+    let storeKey = crypto.createHash('sha1').update(client).digest('hex') + ':' + key;
+    let options = _.omit(ctx.options, 'authorization');
+    let fingerprint = this._makeCacheKey([ctx.path, options, ctx.request.body]);
+    // the first request locks the key until its response is stored
+    let hasLock = await this.idempotencyStore.add(storeKey, { fingerprint }, IDEMPOTENCY_LOCK_DURATION);
+    if (!hasLock) {
+      let entry = await this.idempotencyStore.get(storeKey) || { fingerprint }; // expired meanwhile
+      if (entry.fingerprint !== fingerprint) {
+        ctx.throw(422, 'idempotency key already used by a different request', { code: 'idempotencyKeyReused' });
+      }
+      if (!entry.response) {
+        ctx.throw(409, 'a request with the same idempotency key is in progress', { code: 'idempotentRequestInProgress' });
+      }
+      this._replayResponse(ctx, entry.response);
+      return;
+    }
+    try {
+      await this.callHandler(ctx, method, handle);
+    } catch (err) {
+      await this.idempotencyStore.delete(storeKey);
+      throw err;
+    }
+    let response = this._serializeResponse(ctx);
+    if (response) {
+      await this.idempotencyStore.set(storeKey, { fingerprint, response }, this.idempotencyKeyDuration);
+    } else {
+      await this.idempotencyStore.delete(storeKey); // a stream can't be replayed
+    }
+  };
+
+  // Returns the response as it is stored (buffers are encoded in base64)
+  // or undefined for a stream
+  this._serializeResponse = function(ctx) {
+    let body = ctx.body;
+    let isBuffer = Buffer.isBuffer(body);
+    if (body && !isBuffer && typeof body.pipe === 'function') return undefined;
+    let headers = _.omit(ctx.response.header, (value, name) => {
+      return _.contains(UNREPLAYED_HEADERS, name) || _.startsWith(name, 'x-ratelimit-');
+    });
+    return {
+      status: ctx.status,
+      headers,
+      body: isBuffer ? body.toString('base64') : body,
+      isBuffer
+    };
+  };
+
+  this._replayResponse = function(ctx, response) {
+    ctx.body = response.isBuffer ? new Buffer(response.body, 'base64') : response.body;
+    _.forOwn(response.headers, (value, name) => {
+      ctx.set(name, value);
+    });
+    ctx.set('Idempotent-Replayed', 'true');
+    ctx.status = response.status;
   };
 
   // === Repository requests ===
 
   this.handleGetRepositoryIdRequest = async function(ctx) {
+    await this.limitRate(ctx, 'getRepositoryId');
     await this.verifyAuthorizationAndAuthorize(ctx, 'getRepositoryId');
     let id = await this.repository.getRepositoryId();
     ctx.body = { repositoryId: id };
   };
 
   this.handlePingRequest = async function(ctx) {
+    ctx.methodName = 'ping';
     ctx.body = 'pong';
     ctx.logLevel = 'silence';
   };
 
+  // Unlike '/ping', checks that the repository answers: it gets the
+  // repository id and reads an item of every registered collection. The
+  // response (503 if a check fails or times out) reports every dependency:
+  //   {
+  //     status: 'degraded',
+  //     dependencies: {
+  //       repository: { status: 'ok', duration: 3 },
+  //       users: { status: 'failed', duration: 5000, error: 'timeout' }
+  //     }
+  //   }
+  // Like '/ping', it is neither authorized nor rate limited.
+  this.handleGetHealthRequest = async function(ctx) {
+    ctx.methodName = 'getHealth';
+    if (ctx.method !== 'GET') ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    let checks = {
+      repository: async function() {
+        await this.repository.getRepositoryId();
+      }.bind(this)
+    };
+    _.forOwn(this.registeredCollections, registeredCollection => {
+      checks[registeredCollection.slug] = async function() {
+        let collection = this.repository.createCollection(registeredCollection.name);
+        await collection.findItems({ limit: 1 });
+      }.bind(this);
+    });
+    let names = _.keys(checks);
+    let results = await Promise.all(names.map(name => this._runHealthCheck(ctx, checks[name])));
+    let dependencies = _.zipObject(names, results);
+    let isHealthy = _.every(results, { status: 'ok' });
+    ctx.status = isHealthy ? 200 : 503;
+    ctx.set('Cache-Control', 'no-cache');
+    ctx.body = { status: isHealthy ? 'ok' : 'degraded', dependencies };
+    ctx.logLevel = 'silence';
+  };
+
+  this._runHealthCheck = async function(ctx, check) {
+    let startTime = Date.now();
+    let timeoutError = new Error('health check timed out');
+    let timeout;
+    let result;
+    try {
+      await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(timeoutError), this.healthCheckTimeout);
+        })
+      ]);
+      result = { status: 'ok' };
+    } catch (err) {
+      if (ctx.app) ctx.app.emit('error', err, ctx); // the details are logged, not exposed
+      result = { status: 'failed', error: err === timeoutError ? 'timeout' : 'unreachable' };
+    } finally {
+      clearTimeout(timeout);
+    }
+    result.duration = Date.now() - startTime;
+    return result;
+  };
+
+  this.handleGetMetricsRequest = async function(ctx) {
+    await this.limitRate(ctx, 'getMetrics');
+    if (ctx.method !== 'GET') ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    await this.verifyAuthorizationAndAuthorize(ctx, 'getMetrics');
+    ctx.type = 'text/plain; version=0.0.4';
+    ctx.body = this.metrics.toPrometheus();
+  };
+
+  this.handleGetOpenAPIDocumentRequest = async function(ctx) {
+    await this.limitRate(ctx, 'getOpenAPIDocument');
+    if (ctx.method !== 'GET') ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    await this.verifyAuthorizationAndAuthorize(ctx, 'getOpenAPIDocument');
+    let prefix = ctx.path.slice(0, -'/openapi.json'.length);
+    ctx.body = openAPI.generateOpenAPIDocument(this, prefix);
+  };
+
   // === Authorization requests ===
 
   this.handleAuthorizationRequest = async function(ctx, path, next) {
@@ -211,42 +1204,191 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
     }
     let method = ctx.method;
     if (method === 'POST' && !fragment && !path) {
-      await this.handleSignInWithCredentialsRequest(ctx);
+      await this.callHandler(ctx, 'signInWithCredentials', () => this.handleSignInWithCredentialsRequest(ctx));
     } else if (method === 'GET' && fragment && !path) {
-      await this.handleSignInWithAuthorizationRequest(ctx, fragment);
+      await this.callHandler(ctx, 'signInWithAuthorization', () => this.handleSignInWithAuthorizationRequest(ctx, fragment));
     } else if (method === 'DELETE' && fragment && !path) {
-      await this.handleSignOutRequest(ctx, fragment);
+      await this.callHandler(ctx, 'signOut', () => this.handleSignOutRequest(ctx, fragment));
+    } else if (method === 'POST' && fragment && path === 'refresh') {
+      await this.callHandler(ctx, 'refreshAuthorization', () => this.handleRefreshAuthorizationRequest(ctx, fragment));
     } else {
       await co(next);
     }
   };
 
+  this._throwUndefinedHandler = function(ctx, name) {
+    ctx.throw(501, name + ' is undefined', { code: 'handlerUndefined', expose: true });
+  };
+
   this.handleSignInWithCredentialsRequest = async function(ctx) {
+    await this.limitRate(ctx, 'signInWithCredentials');
     await this.readBody(ctx);
     let handler = this.signInWithCredentialsHandler;
-    if (!handler) throw new Error('signInWithCredentialsHandler is undefined');
+    if (!handler) this._throwUndefinedHandler(ctx, 'signInWithCredentialsHandler');
     let authorization = await handler(ctx.request.body);
-    if (!authorization) ctx.throw(403, 'sign in with credentials failed');
+    if (!authorization) ctx.throw(403, 'sign in with credentials failed', { code: 'signInWithCredentialsFailed' });
+    if (this.tokenManager) authorization = await this.tokenManager.issueToken(authorization);
+    if (this.authorizationCookie) this.writeAuthorizationCookies(ctx, authorization);
     ctx.status = 201;
     ctx.type = 'application/json';
     ctx.body = JSON.stringify(authorization);
   };
 
   this.handleSignInWithAuthorizationRequest = async function(ctx, authorization) {
-    let handler = this.signInWithAuthorizationHandler;
-    if (!handler) throw new Error('signInWithAuthorizationHandler is undefined');
-    let isOkay = await handler(authorization);
-    if (!isOkay) ctx.throw(403, 'sign in with authorization failed');
+    await this.limitRate(ctx, 'signInWithAuthorization');
+    let isOkay;
+    if (this.tokenManager) {
+      isOkay = !!(await this.tokenManager.verifyToken(authorization));
+    } else {
+      let handler = this.signInWithAuthorizationHandler;
+      if (!handler) this._throwUndefinedHandler(ctx, 'signInWithAuthorizationHandler');
+      isOkay = await handler(authorization);
+    }
+    if (!isOkay) ctx.throw(403, 'sign in with authorization failed', { code: 'signInWithAuthorizationFailed' });
     ctx.status = 204;
   };
 
   this.handleSignOutRequest = async function(ctx, authorization) {
+    await this.limitRate(ctx, 'signOut');
     let handler = this.signOutHandler;
-    if (!handler) throw new Error('signOutHandler is undefined');
-    await handler(authorization);
+    if (this.tokenManager) {
+      await this.tokenManager.revokeToken(authorization);
+    } else if (!handler) {
+      this._throwUndefinedHandler(ctx, 'signOutHandler');
+    }
+    if (handler) await handler(authorization);
+    if (this.authorizationCookie && ctx.cookies.get(this.authorizationCookie) === authorization) {
+      this.writeAuthorizationCookies(ctx, undefined);
+    }
     ctx.status = 204;
   };
 
+  // Responds with a new token (the old one is revoked)
+  this.handleRefreshAuthorizationRequest = async function(ctx, authorization) {
+    await this.limitRate(ctx, 'refreshAuthorization');
+    if (!this.tokenManager) this._throwUndefinedHandler(ctx, 'tokenManager');
+    let newAuthorization = await this.tokenManager.refreshToken(authorization);
+    if (!newAuthorization) ctx.throw(403, 'refresh authorization failed', { code: 'refreshAuthorizationFailed' });
+    if (this.authorizationCookie && ctx.cookies.get(this.authorizationCookie) === authorization) {
+      this.writeAuthorizationCookies(ctx, newAuthorization);
+    }
+    ctx.status = 201;
+    ctx.type = 'application/json';
+    ctx.body = JSON.stringify(newAuthorization);
+  };
+
+  // === Audit requests ===
+
+  // Options: same as the findItems options of a collection (the number of
+  // entries is limited by maxPageSize)
+  this.handleGetAuditLogRequest = async function(ctx) {
+    await this.limitRate(ctx, 'getAuditLog');
+    if (ctx.method !== 'GET') ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    if (!this.authorizeHandler) ctx.throw(403, 'authorization failed', { code: 'authorizationFailed' });
+    await this.verifyAuthorizationAndAuthorize(ctx, 'getAuditLog');
+    let options = _.pick(ctx.options, [
+      'query', 'order', 'start', 'startAfter', 'end', 'endBefore', 'reverse', 'limit'
+    ]);
+    let limit = Number(options.limit);
+    if (!limit || limit > this.maxPageSize) limit = this.maxPageSize;
+    options.limit = limit;
+    ctx.body = await this.auditor.find(options);
+  };
+
+  // Returns the value of a server item (or its 'value' at another time)
+  // recorded by the auditor: the remote value (without the server only
+  // properties) minus the fields having a read rule, since the readers of
+  // the audit log are not the clients the rules were evaluated for
+  this.getAuditedValue = function(item, value = item.serialize()) {
+    let remoteCollection = this.createRemoteCollection(item);
+    let transform = this._getTransformer(remoteCollection, 'toRemoteValue');
+    if (transform) value = transform(value);
+    value = remoteCollection.unserializeItem(value).serialize();
+    let permissions = this._getRegisteredCollection(remoteCollection).fieldPermissions;
+    let hiddenFields = _.keys(permissions).filter(field => {
+      let rule = permissions[field].read;
+      return rule != null && rule !== true;
+    });
+    return _.omit(value, hiddenFields);
+  };
+
+  // === GraphQL requests ===
+
+  // GET: 'query', 'variables' (JSON) and 'operationName' parameters
+  // POST: { query, variables, operationName }
+  this.handleGraphQLRequest = async function(ctx) {
+    await this.limitRate(ctx, 'graphQL');
+    let params;
+    if (ctx.method === 'GET') {
+      params = _.pick(ctx.options, ['query', 'variables', 'operationName']);
+      if (typeof params.variables === 'string') {
+        try {
+          params.variables = JSON.parse(params.variables);
+        } catch (err) {
+          ctx.throw(400, 'invalid variables (' + err.message + ')', { code: 'invalidVariables' });
+        }
+      }
+    } else if (ctx.method === 'POST') {
+      await this.readBody(ctx);
+      params = ctx.request.body || {};
+    } else {
+      ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    }
+    this.checkCSRFToken(ctx); // once for all the fields
+    if (!this.graphQLSchema) this.graphQLSchema = graphQL.createGraphQLSchema(this);
+    let result = await graphQL.executeGraphQLRequest(this, ctx, this.graphQLSchema, params);
+    ctx.status = result.status;
+    ctx.body = result.body;
+  };
+
+  // Handles a field like the equivalent REST request: 'handle' receives
+  // a context of its own (sharing the authorization and the request id of
+  // the GraphQL request) and the response body is returned.
+  // route: { method, httpMethod, options, body }
+  this.resolveGraphQLField = async function(ctx, registeredCollection, route, handle) {
+    let fieldCtx = this._createGraphQLFieldContext(ctx, registeredCollection, route);
+    await this.callHandler(fieldCtx, route.method, () => handle(fieldCtx));
+    if (fieldCtx.status === 204) return null;
+    let result = fieldCtx.body;
+    if (Buffer.isBuffer(result) || (result && typeof result.pipe === 'function')) {
+      ctx.throw(406, 'binary results are not supported by GraphQL', { code: 'notAcceptable' });
+    }
+    return result;
+  };
+
+  // Response headers set by the handlers are ignored
+  this._createGraphQLFieldContext = function(ctx, registeredCollection, route) {
+    let name = registeredCollection.name;
+    let noop = function() {};
+    return {
+      app: ctx.app,
+      req: ctx.req,
+      ip: ctx.ip,
+      path: ctx.path,
+      querystring: '',
+      method: route.httpMethod,
+      headers: {},
+      cookies: ctx.cookies,
+      requestId: ctx.requestId,
+      authorization: ctx.authorization,
+      isCSRFTokenChecked: true,
+      options: route.options || {},
+      request: { body: route.body },
+      response: { set: noop, is: () => false },
+      status: 200,
+      fresh: false,
+      registeredCollection,
+      collection: this.repository.createCollection(name),
+      remoteCollection: this.remoteRepository.createCollection(name),
+      get: () => '',
+      set: noop,
+      is: () => false,
+      accepts: type => type,
+      vary: noop,
+      throw: (...args) => ctx.throw(...args)
+    };
+  };
+
   // === Collection requests ===
 
   this.handleCollectionRequest = async function(ctx, registeredCollection, path, next) {
@@ -268,25 +1410,37 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
 
     let method = ctx.method;
     if (method === 'POST' && fragment1 === 'get-items' && !fragment2) {
-      await this.handleGetItemsRequest(ctx);
+      await this.callHandler(ctx, 'getItems', () => this.handleGetItemsRequest(ctx));
+    } else if (method === 'POST' && fragment1 === 'batch' && !fragment2) {
+      await this.callHandler(ctx, 'batch', () => this.handleBatchRequest(ctx));
+    } else if (method === 'GET' && fragment1 === 'changes' && !fragment2) {
+      await this.callHandler(ctx, 'getChanges', () => this.handleChangesRequest(ctx));
     } else if (method === 'GET' && fragment1 === 'count' && !fragment2) {
-      await this.handleCountItemsRequest(ctx);
+      await this.callHandler(ctx, 'countItems', () => this.handleCountItemsRequest(ctx));
     } else if ((method === 'GET' || method === 'POST') && (ctx.registeredCollection.collectionMethods.hasOwnProperty(camelCasedFragment1)) && !fragment2) {
-      await this.handleCustomCollectionMethodRequest(ctx, camelCasedFragment1);
+      await this.callIdempotentHandler(ctx, camelCasedFragment1, () => {
+        return this.handleCustomCollectionMethodRequest(ctx, camelCasedFragment1);
+      });
+    } else if (this.attachmentStore && fragment1 && _.startsWith(fragment2, 'attachments/')) {
+      await this.handleAttachmentRequest(ctx, fragment1, fragment2.slice('attachments/'.length));
     } else if ((method === 'GET' || method === 'POST') && fragment1 && (ctx.registeredCollection.itemMethods.hasOwnProperty(camelCasedFragment2))) {
-      await this.handleCustomItemMethodRequest(ctx, fragment1, camelCasedFragment2);
+      await this.callIdempotentHandler(ctx, camelCasedFragment2, () => {
+        return this.handleCustomItemMethodRequest(ctx, fragment1, camelCasedFragment2);
+      });
     } else if (method === 'GET' && fragment1 && !fragment2) {
-      await this.handleGetItemRequest(ctx, fragment1);
+      await this.callHandler(ctx, 'getItem', () => this.handleGetItemRequest(ctx, fragment1));
     } else if (method === 'POST' && !fragment1 && !fragment2) {
-      await this.handlePostItemRequest(ctx);
+      await this.callIdempotentHandler(ctx, 'postItem', () => this.handlePostItemRequest(ctx));
     } else if (method === 'PUT' && fragment1 && !fragment2) {
-      await this.handlePutItemRequest(ctx, fragment1);
+      await this.callHandler(ctx, 'putItem', () => this.handlePutItemRequest(ctx, fragment1));
+    } else if (method === 'PATCH' && fragment1 && !fragment2) {
+      await this.callHandler(ctx, 'patchItem', () => this.handlePatchItemRequest(ctx, fragment1));
     } else if (method === 'DELETE' && fragment1 && !fragment2) {
-      await this.handleDeleteItemRequest(ctx, fragment1);
+      await this.callHandler(ctx, 'deleteItem', () => this.handleDeleteItemRequest(ctx, fragment1));
     } else if (method === 'GET' && !fragment1 && !fragment2) {
-      await this.handleFindItemsRequest(ctx);
+      await this.callHandler(ctx, 'findItems', () => this.handleFindItemsRequest(ctx));
     } else if (method === 'DELETE' && !fragment1 && !fragment2) {
-      await this.handleFindAndDeleteItemsRequest(ctx);
+      await this.callHandler(ctx, 'findAndDeleteItems', () => this.handleFindAndDeleteItemsRequest(ctx));
     } else {
       await co(next);
     }
@@ -300,148 +1454,1078 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
     request.remoteCollection = ctx.remoteCollection;
     request.event = event;
     request.options = ctx.options;
+    request.requestId = ctx.requestId;
+    request.registeredCollection = ctx.registeredCollection;
+    request.afterCommit = task => this._afterCommit(ctx, task);
+    await this.emit(event, request);
     await ctx.registeredCollection.emit(event, request);
   };
 
-  this._getItem = async function(ctx, id, errorIfMissing) {
+  this._getItem = async function(ctx, id, errorIfMissing, useCache) {
     if (errorIfMissing == null) errorIfMissing = ctx.options.errorIfMissing;
     if (errorIfMissing == null) errorIfMissing = true;
-    if (!id) ctx.throw(400, 'id required');
-    let item = await ctx.collection.getItem(id, { errorIfMissing: false });
-    if (!item && errorIfMissing) ctx.throw(404, 'item not found');
+    if (!id) ctx.throw(400, 'id required', { code: 'idRequired' });
+    let fetch = async function() {
+      return await ctx.collection.getItem(id, { errorIfMissing: false });
+    };
+    let item = useCache ? await this.getCachedValue(ctx, 'getItem', id, fetch) : await fetch();
+    if (item && !this._matchesScope(item, await this.getScope(ctx))) {
+      ctx.throw(404, 'item not found', { code: 'itemNotFound' }); // even if errorIfMissing is false
+    }
+    if (!item && errorIfMissing) ctx.throw(404, 'item not found', { code: 'itemNotFound' });
     return item;
   };
 
   this.handleGetItemRequest = async function(ctx, id) {
-    let item = await this._getItem(ctx, id);
+    await this.limitRate(ctx, 'getItem');
+    let item = await this._getItem(ctx, id, undefined, true);
     await this.verifyAuthorizationAndAuthorize(ctx, 'getItem', { item });
     let remoteItem;
     if (item) {
-      let className = item.class.name;
-      let remoteCollection = this.remoteRepository.createCollectionFromItemClassName(className);
-      remoteItem = remoteCollection.unserializeItem(item);
+      remoteItem = this.toRemoteItem(item);
     }
     await this.emitEvent(ctx, 'didGetItem', { remoteItem, item });
     if (remoteItem) {
-      ctx.body = {
-        class: remoteItem.class.name,
-        value: remoteItem.serialize()
-      };
+      let unreadableFields = await this.getDeniedFields(ctx, 'read', 'getItem', remoteItem.collection);
+      ctx.body = this._makeItemBody(remoteItem, unreadableFields);
+      ctx.set('ETag', this._makeETag(ctx.body));
+      if (ctx.fresh) ctx.status = 304;
     } else {
       ctx.status = 204;
     }
   };
 
   this.handlePostItemRequest = async function(ctx) {
+    await this.limitRate(ctx, 'postItem');
     await this.readBody(ctx);
-    let remoteItem = ctx.remoteCollection.unserializeItem(ctx.request.body);
-    await ctx.collection.transaction(async function() {
-      let item = ctx.collection.createItem(remoteItem);
-      await this.verifyAuthorizationAndAuthorize(ctx, 'putItem', { remoteItem, item });
-      await this.emitEvent(ctx, 'willPutItem', { remoteItem, item });
-      await item.save(ctx.options);
-      remoteItem = ctx.remoteCollection.unserializeItem(item);
-      await this.emitEvent(ctx, 'didPutItem', { remoteItem, item });
-      ctx.status = 201;
-      ctx.body = {
-        class: remoteItem.class.name,
-        value: remoteItem.serialize()
-      };
+    let result = await this._transaction(ctx, async function() {
+      await this.validateItemValue(ctx, ctx.remoteCollection, ctx.request.body, 'putItem');
+      let remoteItem = ctx.remoteCollection.unserializeItem(ctx.request.body);
+      return await this._postItem(ctx, remoteItem);
     }.bind(this));
+    ctx.status = 201;
+    ctx.set('ETag', this._makeETag(result.body));
+    ctx.body = result.body;
   };
 
+  // Honours the 'If-Match' header to prevent concurrent updates
   this.handlePutItemRequest = async function(ctx, id) {
+    await this.limitRate(ctx, 'putItem');
     await this.readBody(ctx);
-    let remoteItem = ctx.remoteCollection.unserializeItem(ctx.request.body);
-    await ctx.collection.transaction(async function() {
-      let errorIfMissing = ctx.options.createIfMissing ? false : undefined;
-      let item = await this._getItem(ctx, id, errorIfMissing);
-      await this.verifyAuthorizationAndAuthorize(ctx, 'putItem', { remoteItem, item });
-      if (item) {
-        item.updateValue(remoteItem);
-      } else {
-        item = ctx.collection.unserializeItem(remoteItem);
-        item.isNew = false;
-      }
-      await this.emitEvent(ctx, 'willPutItem', { remoteItem, item });
-      await item.save(ctx.options);
-      remoteItem = ctx.remoteCollection.createItem(item);
-      await this.emitEvent(ctx, 'didPutItem', { remoteItem, item });
-      ctx.body = {
-        class: remoteItem.class.name,
-        value: remoteItem.serialize()
-      };
+    let ifMatch = ctx.get('If-Match');
+    let result = await this._transaction(ctx, async function() {
+      let remoteCollection = await this._getPutRemoteCollection(ctx, id);
+      await this.validateItemValue(ctx, remoteCollection, ctx.request.body, 'putItem', {
+        requirePrimaryKey: true, primaryKeyValue: id
+      });
+      let remoteItem = remoteCollection.unserializeItem(ctx.request.body);
+      return await this._putItem(ctx, id, remoteItem, ifMatch);
     }.bind(this));
+    ctx.set('ETag', this._makeETag(result.body));
+    ctx.body = result.body;
   };
 
+  // Body: a JSON Merge Patch (RFC 7386) or, when the content type is
+  // 'application/json-patch+json' (or the body is an array),
+  // a JSON Patch (RFC 6902). Honours the 'If-Match' header.
+  this.handlePatchItemRequest = async function(ctx, id) {
+    await this.limitRate(ctx, 'patchItem');
+    await this.readBody(ctx);
+    let patch = ctx.request.body;
+    let ifMatch = ctx.get('If-Match');
+    let result = await this._transaction(ctx, async function() {
+      return await this._patchItem(ctx, id, patch, ifMatch);
+    }.bind(this));
+    ctx.set('ETag', this._makeETag(result.body));
+    ctx.body = result.body;
+  };
+
+  // Honours the 'If-Match' header to prevent concurrent updates
   this.handleDeleteItemRequest = async function(ctx, id) {
-    let hasBeenDeleted = false;
+    await this.limitRate(ctx, 'deleteItem');
+    let ifMatch = ctx.get('If-Match');
+    let hasBeenDeleted = await this._transaction(ctx, async function() {
+      return await this._deleteItem(ctx, id, ifMatch);
+    }.bind(this));
+    ctx.type = 'application/json';
+    ctx.body = hasBeenDeleted;
+  };
+
+  // Body: an array of operations executed inside a single transaction:
+  //   { type: 'post', value: { firstName: 'Manu' } }
+  //   { type: 'put', id: 'abc', value: { id: 'abc', firstName: 'Manu' } }
+  //   { type: 'patch', id: 'abc', patch: { firstName: 'Manu' } }
+  //   { type: 'delete', id: 'abc' }
+  // 'put', 'patch' and 'delete' operations accept an 'ifMatch' attribute
+  // (same as the 'If-Match' header of the single item routes).
+  // Responds with an array of results (same order as the operations).
+  this.handleBatchRequest = async function(ctx) {
+    await this.limitRate(ctx, 'batch');
+    await this.readBody(ctx);
+    let operations = ctx.request.body;
+    if (!_.isArray(operations)) ctx.throw(400, 'an array of operations is required', { code: 'invalidBatch' });
+    for (let operation of operations) {
+      if (!_.isPlainObject(operation) || !_.has(BATCH_OPERATION_METHODS, operation.type)) continue;
+      let method = BATCH_OPERATION_METHODS[operation.type];
+      let limits = this._getRateLimits(ctx, method, { includeAll: false });
+      await this._incrementRateLimits(ctx, method, limits);
+    }
+    let results = await this._transaction(ctx, async function() {
+      let remoteCollections = await this._validateBatchOperations(ctx, operations);
+      let transactionResults = [];
+      for (let index = 0; index < operations.length; index++) {
+        let operation = operations[index];
+        transactionResults.push(await this._executeBatchOperation(ctx, operation, remoteCollections[index]));
+      }
+      return transactionResults;
+    }.bind(this));
+    ctx.status = 201;
+    ctx.body = results;
+  };
+
+  // Runs fn inside a transaction, with ctx.collection bound
+  // to the transactional collection
+  this._transaction = async function(ctx, fn) {
+    let collection = ctx.collection;
+    let result, tasks;
+    ctx.afterCommitTasks = [];
+    try {
+      result = await collection.transaction(async function(transactionalCollection) {
+        ctx.collection = transactionalCollection;
+        return await fn();
+      });
+    } finally {
+      ctx.collection = collection;
+      tasks = ctx.afterCommitTasks;
+      delete ctx.afterCommitTasks;
+    }
+    // the events invalidated the cache before the commit, so the values
+    // read by concurrent requests meanwhile may have been cached
+    await this.invalidateCache(ctx.registeredCollection);
+    for (let task of tasks) await task();
+    return result;
+  };
+
+  // Defers what can't be rolled back (like deleting files) until the
+  // current transaction is committed. Outside of a transaction, the task
+  // is run right away. The tasks of a rolled back transaction are dropped.
+  this._afterCommit = async function(ctx, task) {
+    if (!ctx.afterCommitTasks) return await task();
+    ctx.afterCommitTasks.push(task);
+  };
+
+  // Returns the remote collections the values of the 'post' and 'put'
+  // operations have been validated against (same order as the operations)
+  this._validateBatchOperations = async function(ctx, operations) {
+    let errors = [];
+    let remoteCollections = [];
+    for (let index = 0; index < operations.length; index++) {
+      let operation = operations[index];
+      if (!_.isPlainObject(operation)) continue;
+      let remoteCollection, options;
+      if (operation.type === 'post') {
+        remoteCollection = ctx.remoteCollection;
+        options = {};
+      } else if (operation.type === 'put') {
+        remoteCollection = await this._getPutRemoteCollection(ctx, operation.id);
+        options = { requirePrimaryKey: true, primaryKeyValue: operation.id };
+      } else {
+        continue;
+      }
+      remoteCollections[index] = remoteCollection;
+      let operationErrors = await this.getItemValueErrors(ctx, remoteCollection, operation.value, 'putItem', options);
+      operationErrors.forEach(error => {
+        let path = index + '.value';
+        if (error.path) path += '.' + error.path;
+        errors.push(_.assign({}, error, { path }));
+      });
+    }
+    this._throwValidationErrors(ctx, errors);
+    return remoteCollections;
+  };
+
+  this._executeBatchOperation = async function(ctx, operation, remoteCollection) {
+    if (!_.isPlainObject(operation)) ctx.throw(400, 'invalid batch operation', { code: 'invalidBatchOperation' });
+    let type = operation.type;
+    if (type === 'post') {
+      let remoteItem = remoteCollection.unserializeItem(operation.value);
+      return (await this._postItem(ctx, remoteItem)).body;
+    } else if (type === 'put') {
+      let remoteItem = remoteCollection.unserializeItem(operation.value);
+      return (await this._putItem(ctx, operation.id, remoteItem, operation.ifMatch)).body;
+    } else if (type === 'patch') {
+      return (await this._patchItem(ctx, operation.id, operation.patch, operation.ifMatch)).body;
+    } else if (type === 'delete') {
+      return await this._deleteItem(ctx, operation.id, operation.ifMatch);
+    }
+    ctx.throw(400, 'unknown batch operation type \'' + type + '\'', { code: 'invalidBatchOperation' });
+  };
+
+  this._postItem = async function(ctx, remoteItem) {
+    let item = ctx.collection.createItem(this.toServerValue(remoteItem));
+    await this.verifyAuthorizationAndAuthorize(ctx, 'putItem', { remoteItem, item });
+    await this.checkFieldWrites(ctx, 'postItem', remoteItem);
+    await this.emitEvent(ctx, 'willPutItem', { remoteItem, item });
+    await this._checkItemScope(ctx, item);
+    await item.save(ctx.options);
+    remoteItem = this.toRemoteItem(item, ctx.remoteCollection);
+    await this.emitEvent(ctx, 'didPutItem', { remoteItem, item, method: 'postItem' });
+    let unreadableFields = await this.getDeniedFields(ctx, 'read', 'postItem', remoteItem.collection);
+    let body = this._makeItemBody(remoteItem, unreadableFields);
+    return { item, body };
+  };
+
+  // The value of a put replaces the one of the existing item (if any), so
+  // it's validated against the class of this item (same as a patch)
+  this._getPutRemoteCollection = async function(ctx, id) {
+    let item = await this._getItem(ctx, id, false);
+    return item ? this.createRemoteCollection(item) : ctx.remoteCollection;
+  };
+
+  this._putItem = async function(ctx, id, remoteItem, ifMatch) {
+    let errorIfMissing = ctx.options.createIfMissing ? false : undefined;
+    let item = await this._getItem(ctx, id, errorIfMissing);
+    await this.verifyAuthorizationAndAuthorize(ctx, 'putItem', { remoteItem, item });
+    await this._checkIfMatch(ctx, item, ifMatch, 'putItem');
+    remoteItem = await this.checkFieldWrites(ctx, 'putItem', remoteItem, item);
+    let previousValue = item && item.serialize();
+    if (item) {
+      item.updateValue(this.toServerValue(remoteItem));
+    } else {
+      item = ctx.collection.unserializeItem(this.toServerValue(remoteItem));
+      item.isNew = false;
+    }
+    await this.emitEvent(ctx, 'willPutItem', { remoteItem, item });
+    await this._checkItemScope(ctx, item);
+    await item.save(ctx.options);
+    remoteItem = this.toRemoteItem(item, remoteItem.collection);
+    await this.emitEvent(ctx, 'didPutItem', { remoteItem, item, previousValue, method: 'putItem' });
+    let unreadableFields = await this.getDeniedFields(ctx, 'read', 'putItem', remoteItem.collection);
+    let body = this._makeItemBody(remoteItem, unreadableFields);
+    return { item, body };
+  };
+
+  // The client is authorized before the patch is applied (so it can't
+  // learn anything from the errors of the patch) and again, with the
+  // patched 'remoteItem', before the item is saved
+  this._patchItem = async function(ctx, id, patch, ifMatch) {
+    let item = await this._getItem(ctx, id, true);
+    await this.verifyAuthorizationAndAuthorize(ctx, 'patchItem', { item, patch });
+    await this._checkIfMatch(ctx, item, ifMatch, 'patchItem');
+    let remoteCollection = this.createRemoteCollection(item);
+    let currentValue = this.toRemoteItem(item, remoteCollection).serialize();
+    // the patch can't read (with a 'test' operation) the unreadable fields
+    let unreadableFields = await this.getDeniedFields(ctx, 'read', 'patchItem', remoteCollection);
+    let value = _.omit(currentValue, unreadableFields);
+    try {
+      if (_.isArray(patch) || ctx.is('application/json-patch+json')) {
+        value = jsonPatch.applyJSONPatch(value, patch);
+      } else {
+        value = jsonPatch.applyMergePatch(value, patch);
+      }
+    } catch (err) {
+      ctx.throw(422, err.message, { code: 'invalidPatch' });
+    }
+    if (_.isPlainObject(value)) _.defaults(value, _.pick(currentValue, unreadableFields));
+    await this.validateItemValue(ctx, remoteCollection, value, 'patchItem', {
+      requirePrimaryKey: true, primaryKeyValue: item.primaryKeyValue
+    });
+    let remoteItem = remoteCollection.unserializeItem(value);
+    await this.verifyAuthorizationAndAuthorize(ctx, 'patchItem', { remoteItem, item, patch });
+    remoteItem = await this.checkFieldWrites(ctx, 'patchItem', remoteItem, item);
+    let previousValue = item.serialize();
+    item.updateValue(this.toServerValue(remoteItem));
+    await this.emitEvent(ctx, 'willPutItem', { remoteItem, item, patch });
+    await this._checkItemScope(ctx, item);
+    await item.save(ctx.options);
+    remoteItem = this.toRemoteItem(item, remoteCollection);
+    await this.emitEvent(ctx, 'didPutItem', { remoteItem, item, patch, previousValue, method: 'patchItem' });
+    let body = this._makeItemBody(remoteItem, unreadableFields);
+    return { item, body };
+  };
+
+  this._deleteItem = async function(ctx, id, ifMatch) {
     let item = await this._getItem(ctx, id);
+    if (!item) {
+      await this._checkIfMatch(ctx, item, ifMatch, 'deleteItem');
+      return false;
+    }
+    await this.verifyAuthorizationAndAuthorize(ctx, 'deleteItem', { item });
+    await this._checkIfMatch(ctx, item, ifMatch, 'deleteItem');
+    await this.emitEvent(ctx, 'willDeleteItem', { item });
+    let hasBeenDeleted = await item.delete(ctx.options);
+    if (hasBeenDeleted) {
+      await this.emitEvent(ctx, 'didDeleteItem', { item, method: 'deleteItem' });
+      if (this.attachmentStore) {
+        let prefix = this._getAttachmentKey(ctx, item);
+        await this._afterCommit(ctx, async function() {
+          await this.attachmentStore.deleteAll(prefix);
+        }.bind(this));
+      }
+    }
+    return hasBeenDeleted;
+  };
+
+  // Field permissions and scopes depend on the verified authorization
+  // but they can be needed before a request is authorized
+  // (a patch is authorized after being applied, an item after being fetched...)
+  this._verifyAuthorizationOnce = async function(ctx, method) {
+    if (ctx.verifyAuthorizationResult === undefined) {
+      ctx.verifyAuthorizationResult = await this.verifyAuthorization(ctx, method);
+    }
+  };
+
+  // === Attachments ===
+
+  this.handleAttachmentRequest = async function(ctx, id, name) {
+    let method = { GET: 'getAttachment', PUT: 'putAttachment', DELETE: 'deleteAttachment' }[ctx.method];
+    if (!method) ctx.throw(405, 'method not allowed', { code: 'methodNotAllowed' });
+    await this.callHandler(ctx, method, () => this._handleAttachmentRequest(ctx, method, id, name));
+  };
+
+  this._handleAttachmentRequest = async function(ctx, method, id, name) {
+    await this.limitRate(ctx, method);
+    try {
+      name = decodeURIComponent(name);
+    } catch (err) {
+      name = undefined;
+    }
+    if (!ATTACHMENT_NAME_REGEXP.test(name)) {
+      ctx.throw(400, 'invalid attachment name', { code: 'invalidAttachmentName' });
+    }
+    let item = await this._getItem(ctx, id, true);
+    await this.verifyAuthorizationAndAuthorize(ctx, method, { item, name });
+    let key = this._getAttachmentKey(ctx, item) + '/' + encodeURIComponent(name);
+    if (method === 'getAttachment') {
+      await this._getAttachment(ctx, key);
+    } else if (method === 'putAttachment') {
+      await this.emitEvent(ctx, 'willPutAttachment', { item, name });
+      let attachment = await this._putAttachment(ctx, key, name);
+      await this.emitEvent(ctx, 'didPutAttachment', { item, name, attachment, method });
+      ctx.body = attachment;
+    } else {
+      await this.emitEvent(ctx, 'willDeleteAttachment', { item, name });
+      let hasBeenDeleted = await this.attachmentStore.delete(key);
+      if (hasBeenDeleted) await this.emitEvent(ctx, 'didDeleteAttachment', { item, name, method });
+      ctx.type = 'application/json';
+      ctx.body = hasBeenDeleted;
+    }
+  };
+
+  this._getAttachmentKey = function(ctx, item) {
+    return ctx.registeredCollection.slug + '/' + encodeURIComponent(item.primaryKeyValue);
+  };
+
+  this._getAttachment = async function(ctx, key) {
+    let blob = await this.attachmentStore.get(key);
+    if (!blob) ctx.throw(404, 'attachment not found', { code: 'attachmentNotFound' });
+    let metadata = blob.metadata;
+    ctx.body = blob.stream;
+    ctx.type = metadata.contentType || 'application/octet-stream';
+    if (metadata.size != null) ctx.length = metadata.size;
+    // the other types (HTML, SVG...) could run scripts on the origin of the API
+    ctx.set('X-Content-Type-Options', 'nosniff');
+    let disposition = _.contains(INLINE_ATTACHMENT_TYPES, ctx.type) ? 'inline' : 'attachment';
+    if (metadata.fileName) {
+      let fileName = metadata.fileName.replace(/["\\\r\n]/g, '_');
+      disposition += '; filename="' + fileName + '"';
+    }
+    ctx.set('Content-Disposition', disposition);
+  };
+
+  // Returns the metadata of the stored file: { contentType, fileName, size }
+  this._putAttachment = async function(ctx, key, name) {
+    if (Number(ctx.get('Content-Length')) > this.maxAttachmentSize) this._throwAttachmentTooLarge(ctx);
+    let upload;
+    if (ctx.is('multipart')) {
+      upload = await this._readMultipartFile(ctx, name);
+    } else {
+      upload = {
+        stream: this._limitStreamSize(ctx.req, this.maxAttachmentSize),
+        contentType: ctx.get('Content-Type') || 'application/octet-stream',
+        fileName: name
+      };
+    }
+    try {
+      let metadata = { contentType: upload.contentType, fileName: upload.fileName };
+      return await this.attachmentStore.put(key, upload.stream, metadata);
+    } catch (err) {
+      if (err.isTooLarge) this._throwAttachmentTooLarge(ctx);
+      throw err;
+    } finally {
+      if (upload.temporaryPaths) {
+        upload.temporaryPaths.forEach(path => fs.unlink(path, () => {}));
+      }
+    }
+  };
+
+  // Uploaded files are written to temporary files by formidable
+  this._readMultipartFile = async function(ctx, name) {
+    let form = new formidable.IncomingForm({ uploadDir: os.tmpdir() });
+    let isTooLarge = false;
+    form.on('progress', bytesReceived => {
+      if (bytesReceived <= this.maxAttachmentSize) return;
+      isTooLarge = true;
+      form._error(new Error('attachment too large'));
+    });
+    let files;
+    try {
+      files = await new Promise(function(resolve, reject) {
+        form.parse(ctx.req, function(err, fields, parsedFiles) {
+          if (err) reject(err); else resolve(parsedFiles);
+        });
+      });
+    } catch (err) {
+      if (isTooLarge) this._throwAttachmentTooLarge(ctx);
+      ctx.throw(400, 'invalid body (' + err.message + ')', { code: 'invalidBody' });
+    }
+    files = _.values(files);
+    let temporaryPaths = _.pluck(files, 'path');
+    let file = files[0];
+    if (!file) {
+      temporaryPaths.forEach(path => fs.unlink(path, () => {}));
+      ctx.throw(400, 'a file is required', { code: 'fileRequired' });
+    }
+    return {
+      stream: fs.createReadStream(file.path),
+      contentType: file.type || 'application/octet-stream',
+      fileName: file.name || name,
+      temporaryPaths
+    };
+  };
+
+  this._throwAttachmentTooLarge = function(ctx) {
+    ctx.throw(413, 'attachment too large', {
+      code: 'attachmentTooLarge', details: { maxSize: this.maxAttachmentSize }
+    });
+  };
+
+  this._limitStreamSize = function(stream, maxSize) {
+    let size = 0;
+    let limitedStream = new Transform();
+    limitedStream._transform = function(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) {
+        let err = new Error('stream too large');
+        err.isTooLarge = true;
+        callback(err);
+        return;
+      }
+      callback(null, chunk);
+    };
+    stream.on('aborted', () => limitedStream.emit('error', new Error('upload aborted')));
+    stream.on('error', err => limitedStream.emit('error', err));
+    return stream.pipe(limitedStream);
+  };
+
+  // === Scopes ===
+
+  this.getScope = async function(ctx) {
+    let handler = ctx.registeredCollection.scopeHandler;
+    if (!handler) return undefined;
+    if (!ctx.hasOwnProperty('scope')) {
+      await this._verifyAuthorizationOnce(ctx);
+      let request = {};
+      request.verifyAuthorizationResult = ctx.verifyAuthorizationResult;
+      request.collection = ctx.collection;
+      request.remoteCollection = ctx.remoteCollection;
+      request.options = ctx.options;
+      ctx.scope = await handler(request);
+    }
+    return ctx.scope;
+  };
+
+  this.applyScope = async function(ctx) {
+    let scope = await this.getScope(ctx);
+    if (!scope) return;
+    ctx.options.query = _.assign({}, ctx.options.query, scope);
+  };
+
+  // Prevents a client from creating an item outside its scope
+  // or moving an item out of it
+  this._checkItemScope = async function(ctx, item) {
+    if (this._matchesScope(item, await this.getScope(ctx))) return;
+    ctx.throw(403, 'item outside of the scope', { code: 'outOfScope' });
+  };
+
+  this._matchesScope = function(item, scope) {
+    if (!scope) return true;
+    return _.every(scope, (value, key) => _.isEqual(item[key], value));
+  };
+
+  // === Cache ===
+
+  // Returns the result of 'fetch' (an item, an array of items or a value)
+  // from the cache when the collection caches 'method'. 'args' are the
+  // arguments of the repository call (an id or options).
+  this.getCachedValue = async function(ctx, method, args, fetch) {
+    let registeredCollection = ctx.registeredCollection;
+    let duration = this._getCacheDuration(registeredCollection, method);
+    if (!duration) return await fetch();
+    if (_.isPlainObject(args)) args = _.omit(args, 'authorization');
+    let scope = await this.getScope(ctx);
+    let key = this._makeCacheKey([method, args, scope]);
+    let cachedValue = await this.cacheStore.get(registeredCollection.slug, key);
+    if (cachedValue !== undefined) {
+      ctx.set('X-Cache', 'HIT');
+      return this._unserializeCachedValue(cachedValue);
+    }
+    let value = await fetch();
+    await this.cacheStore.set(registeredCollection.slug, key, this._serializeCachedValue(value), duration);
+    ctx.set('X-Cache', 'MISS');
+    return value;
+  };
+
+  // Clears the cache of the collections which can return the items
+  // of 'registeredCollection' (itself, its parents and its subclasses)
+  // in all the versions (they share the cached server items)
+  this.invalidateCache = async function(registeredCollection) {
+    let Item = this.repository.collectionClasses[registeredCollection.name].prototype.Item;
+    let otherCollections = _.flatten(this.getVersions().map(version => _.values(version.registeredCollections)));
+    for (let otherCollection of otherCollections) {
+      if (!otherCollection.cache) continue;
+      let OtherItem = this.repository.collectionClasses[otherCollection.name].prototype.Item;
+      if (!Item.prototype.isInstanceOf(OtherItem) && !OtherItem.prototype.isInstanceOf(Item)) continue;
+      await this.cacheStore.clear(otherCollection.slug);
+    }
+  };
+
+  this._getCacheDuration = function(registeredCollection, method) {
+    let cache = registeredCollection.cache;
+    if (!cache) return undefined;
+    let options = cache[method] || cache['*'];
+    return options && options.duration;
+  };
+
+  // Keys are hashes of a JSON representation where the object
+  // attributes are sorted (so equivalent options give the same key)
+  this._makeCacheKey = function(value) {
+    let normalize = function(val) {
+      if (_.isArray(val)) return val.map(normalize);
+      if (!_.isPlainObject(val)) return val;
+      let result = {};
+      _.keys(val).sort().forEach(key => {
+        result[key] = normalize(val[key]);
+      });
+      return result;
+    };
+    let json = JSON.stringify(normalize(value));
+    return crypto.createHash('sha1').update(json).digest('hex');
+  };
+
+  // Cached values are plain objects so any store can keep them
+  this._serializeCachedValue = function(value) {
+    let serializeItem = item => ({ class: item.class.name, value: item.serialize() });
+    if (_.isArray(value)) return { items: value.map(serializeItem) };
+    if (value && typeof value.serialize === 'function') return { item: serializeItem(value) };
+    return { value };
+  };
+
+  this._unserializeCachedValue = function(cachedValue) {
+    let cache = {};
+    let unserializeItem = obj => {
+      let collection = this.repository.createCollectionFromItemClassName(obj.class, cache);
+      let item = collection.unserializeItem(obj.value);
+      item.isNew = false;
+      item.isModified = false;
+      return item;
+    };
+    if (cachedValue.items) return cachedValue.items.map(unserializeItem);
+    if (cachedValue.item) return unserializeItem(cachedValue.item);
+    return cachedValue.value;
+  };
+
+  // === Field permissions ===
+
+  // Returns the fields of the remote items of 'remoteCollection' (default:
+  // the collection of the request) the client can't read or write (kind:
+  // 'read' or 'write'). The rules are the ones of the registered collection
+  // of the item class, so an item read through the collection of a parent
+  // class keeps its own rules (and they include the rules of the parents).
+  this.getDeniedFields = async function(ctx, kind, method, remoteCollection = ctx.remoteCollection) {
+    let fields = [];
+    let registeredCollection = this._getRegisteredCollection(remoteCollection) || ctx.registeredCollection;
+    let permissions = registeredCollection.fieldPermissions;
+    if (_.isEmpty(permissions)) return fields;
+    await this._verifyAuthorizationOnce(ctx, method);
+    for (let field of _.keys(permissions)) {
+      let rule = permissions[field][kind];
+      if (rule == null) continue;
+      let isAllowed = rule;
+      if (typeof rule === 'function') {
+        let request = {};
+        request.verifyAuthorizationResult = ctx.verifyAuthorizationResult;
+        request.authorizeResult = ctx.authorizeResult;
+        request.collection = ctx.collection;
+        request.remoteCollection = remoteCollection;
+        request.method = method;
+        request.options = ctx.options;
+        request.field = field;
+        isAllowed = await rule(request);
+      }
+      if (!isAllowed) fields.push(field);
+    }
+    return fields;
+  };
+
+  // Returns an async function giving the unreadable fields of the items of
+  // a remote collection, evaluated once per collection (see getDeniedFields)
+  this._createUnreadableFieldsGetter = function(ctx, method) {
+    let cache = {};
+    return async function(remoteCollection) {
+      let name = remoteCollection.name;
+      if (!cache.hasOwnProperty(name)) {
+        cache[name] = await this.getDeniedFields(ctx, 'read', method, remoteCollection);
+      }
+      return cache[name];
+    }.bind(this);
+  };
+
+  // Throws a 403 error if the client changes a protected field. The omitted
+  // protected or unreadable fields keep their current value (so a client can
+  // put an item back after getting it).
+  this.checkFieldWrites = async function(ctx, method, remoteItem, item) {
+    let remoteCollection = remoteItem.collection;
+    let unwritableFields = await this.getDeniedFields(ctx, 'write', method, remoteCollection);
+    let unreadableFields = await this.getDeniedFields(ctx, 'read', method, remoteCollection);
+    if (!unwritableFields.length && !unreadableFields.length) return remoteItem;
+    let value = remoteItem.serialize();
+    let currentValue = item ? this.toRemoteItem(item, remoteCollection).serialize() : {};
+    let forbiddenFields = [];
+    _.union(unwritableFields, unreadableFields).forEach(field => {
+      if (!value.hasOwnProperty(field)) {
+        if (currentValue.hasOwnProperty(field)) value[field] = currentValue[field];
+      } else if (_.contains(unwritableFields, field) && !_.isEqual(value[field], currentValue[field])) {
+        forbiddenFields.push(field);
+      }
+    });
+    if (forbiddenFields.length) {
+      ctx.throw(403, 'writing ' + forbiddenFields.join(', ') + ' is forbidden', {
+        code: 'fieldWriteForbidden', details: { fields: forbiddenFields }
+      });
+    }
+    return remoteCollection.unserializeItem(value);
+  };
+
+  // Returns the remote collection of the class of a server item or, if the
+  // remote repository doesn't have it (in an older API version for example),
+  // of its closest parent class
+  this.createRemoteCollection = function(item, cache) {
+    let className = _.find(item.classNames, name => _.contains(this.remoteItemClassNames, name));
+    if (!className) throw new Error('item class \'' + item.class.name + '\' not found in the remote repository');
+    return this.remoteRepository.createCollectionFromItemClassName(className, cache);
+  };
+
+  // Converts a server item into a remote item of 'remoteCollection' (by
+  // default, see createRemoteCollection) with the 'toRemoteValue'
+  // transformer of the collection (if any)
+  this.toRemoteItem = function(item, remoteCollection) {
+    if (!remoteCollection) remoteCollection = this.createRemoteCollection(item);
+    let transform = this._getTransformer(remoteCollection, 'toRemoteValue');
+    if (!transform) return remoteCollection.unserializeItem(item);
+    return remoteCollection.unserializeItem(transform(item.serialize()));
+  };
+
+  // Returns the value of a server item (or the remote item itself
+  // if its collection has no 'toServerValue' transformer)
+  this.toServerValue = function(remoteItem) {
+    let transform = this._getTransformer(remoteItem.collection, 'toServerValue');
+    if (!transform) return remoteItem;
+    return transform(remoteItem.serialize());
+  };
+
+  this._getRegisteredCollection = function(remoteCollection) {
+    return this.registeredCollections[_.kebabCase(remoteCollection.name)];
+  };
+
+  this._getTransformer = function(remoteCollection, name) {
+    let registeredCollection = this._getRegisteredCollection(remoteCollection);
+    let transformers = registeredCollection && registeredCollection.transformers;
+    return transformers && transformers[name];
+  };
+
+  this._makeItemBody = function(remoteItem, unreadableFields = []) {
+    return {
+      class: remoteItem.class.name,
+      value: _.omit(remoteItem.serialize(), unreadableFields)
+    };
+  };
+
+  // The remote items can be of different classes (see getDeniedFields)
+  this._makeItemBodies = async function(ctx, method, remoteItems) {
+    let getUnreadableFields = this._createUnreadableFieldsGetter(ctx, method);
+    let bodies = [];
+    for (let remoteItem of remoteItems) {
+      let unreadableFields = await getUnreadableFields(remoteItem.collection);
+      bodies.push(this._makeItemBody(remoteItem, unreadableFields));
+    }
+    return bodies;
+  };
+
+  // Checks a JSON value sent by a client against the item properties of
+  // a remote collection and the validators of the registered collection.
+  // Options: see item-validation.js
+  this.validateItemValue = async function(ctx, remoteCollection, value, method, options) {
+    let errors = await this.getItemValueErrors(ctx, remoteCollection, value, method, options);
+    this._throwValidationErrors(ctx, errors);
+  };
+
+  this.getItemValueErrors = async function(ctx, remoteCollection, value, method, options) {
+    let errors = itemValidation.validateItemValue(remoteCollection, value, options);
+    if (errors.length) return errors;
+    for (let validator of ctx.registeredCollection.validators) {
+      let request = {};
+      request.authorization = ctx.authorization;
+      request.collection = ctx.collection;
+      request.remoteCollection = remoteCollection;
+      request.method = method;
+      request.options = ctx.options;
+      request.value = value;
+      let validatorErrors = await validator(request);
+      if (validatorErrors) errors.push(...validatorErrors);
+    }
+    return errors;
+  };
+
+  this._throwValidationErrors = function(ctx, errors) {
+    if (!errors.length) return;
+    ctx.throw(422, 'validation failed', { code: 'validationFailed', details: { errors } });
+  };
+
+  // ETags are derived from the item bodies sent to the client (so they
+  // don't depend on the fields it can't read)
+  this._makeETag = function(body) {
+    let hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex');
+    return '"' + hash + '"';
+  };
+
+  this._getItemETag = async function(ctx, item, method) {
+    let remoteItem = this.toRemoteItem(item);
+    let unreadableFields = await this.getDeniedFields(ctx, 'read', method, remoteItem.collection);
+    return this._makeETag(this._makeItemBody(remoteItem, unreadableFields));
+  };
+
+  this._checkIfMatch = async function(ctx, item, ifMatch, method) {
+    if (!ifMatch) return;
     if (item) {
-      await this.verifyAuthorizationAndAuthorize(ctx, 'deleteItem', { item });
-      await this.emitEvent(ctx, 'willDeleteItem', { item });
-      hasBeenDeleted = await item.delete(ctx.options);
-      if (hasBeenDeleted) await this.emitEvent(ctx, 'didDeleteItem', { item });
+      let etags = ifMatch.split(',').map(etag => etag.trim());
+      if (_.contains(etags, '*')) return;
+      if (_.contains(etags, await this._getItemETag(ctx, item, method))) return;
     }
-    ctx.type = 'application/json';
-    ctx.body = hasBeenDeleted;
+    ctx.throw(412, 'precondition failed', { code: 'preconditionFailed' });
   };
 
   this.handleGetItemsRequest = async function(ctx) {
+    let method = this._isStreamRequested(ctx) ? 'streamItems' : 'getItems';
+    await this.limitRate(ctx, method);
     await this.readBody(ctx);
-    await this.verifyAuthorizationAndAuthorize(ctx, 'getItems');
+    await this.verifyAuthorizationAndAuthorize(ctx, method);
+    if (method === 'streamItems') {
+      let keys = ctx.request.body;
+      let options = _.omit(ctx.options, 'stream');
+      let chunkSize = this._getChunkSize(ctx);
+      let index = 0;
+      ctx.status = 201;
+      await this.streamItems(ctx, 'getItems', 'didGetItems', async function() {
+        let chunk = keys.slice(index, index + chunkSize);
+        index += chunkSize;
+        let items = await ctx.collection.getItems(chunk, options);
+        return { items, isLast: index >= keys.length };
+      });
+      return;
+    }
     let items = await ctx.collection.getItems(ctx.request.body, ctx.options);
+    let scope = await this.getScope(ctx);
+    items = items.filter(item => this._matchesScope(item, scope));
     let cache = {};
     let remoteItems = items.map(item => {
-      let className = item.class.name;
-      let remoteCollection = this.remoteRepository.createCollectionFromItemClassName(className, cache);
-      return remoteCollection.unserializeItem(item);
+      let remoteCollection = this.createRemoteCollection(item, cache);
+      return this.toRemoteItem(item, remoteCollection);
     });
     await this.emitEvent(ctx, 'didGetItems', { remoteItems, items });
+    let body = await this._makeItemBodies(ctx, 'getItems', remoteItems);
     ctx.status = 201;
-    ctx.body = remoteItems.map(remoteItem => {
-      return {
-        class: remoteItem.class.name,
-        value: remoteItem.serialize()
-      };
-    });
+    ctx.body = body;
   };
 
+  // Results are paginated: when more items are available, a 'Link' header
+  // points to the next page. With the 'envelope' option, the response body is
+  // { items: [...], nextCursor: '...' } instead of an array of items.
+  // With the 'stream' option (and if the collection allows it), all the
+  // items are returned (see streamItems).
   this.handleFindItemsRequest = async function(ctx) {
-    await this.verifyAuthorizationAndAuthorize(ctx, 'findItems');
-    let items = await ctx.collection.findItems(ctx.options);
+    let method = this._isStreamRequested(ctx) ? 'streamItems' : 'findItems';
+    await this.limitRate(ctx, method);
+    await this.verifyAuthorizationAndAuthorize(ctx, method);
+    await this.applyScope(ctx);
+    if (method === 'streamItems') {
+      await this._streamFoundItems(ctx);
+      return;
+    }
+    let options = _.omit(ctx.options, ['cursor', 'envelope']);
+    let limit = this._getPageSize(ctx);
+    options.limit = limit + 1; // one more item to know if there is a next page
+    if (ctx.options.cursor) {
+      options.startAfter = this._decodeCursor(ctx, ctx.options.cursor);
+      delete options.start;
+    }
+    let items = await this.getCachedValue(ctx, 'findItems', options, async function() {
+      return await ctx.collection.findItems(options);
+    });
+    let nextCursor;
+    if (items.length > limit) {
+      items = items.slice(0, limit);
+      nextCursor = this._encodeCursor(_.last(items), options.order);
+    }
     let cache = {};
     let remoteItems = items.map(item => {
-      let className = item.class.name;
-      let remoteCollection = this.remoteRepository.createCollectionFromItemClassName(className, cache);
-      return remoteCollection.unserializeItem(item);
+      let remoteCollection = this.createRemoteCollection(item, cache);
+      return this.toRemoteItem(item, remoteCollection);
     });
-    await this.emitEvent(ctx, 'didFindItems', { remoteItems, items });
-    ctx.body = remoteItems.map(remoteItem => {
-      return {
-        class: remoteItem.class.name,
-        value: remoteItem.serialize()
-      };
+    await this.emitEvent(ctx, 'didFindItems', { remoteItems, items, nextCursor });
+    let body = await this._makeItemBodies(ctx, 'findItems', remoteItems);
+    if (nextCursor) {
+      let query = _.omit(Qs.parse(ctx.querystring), 'authorization'); // don't leak the token
+      query.cursor = nextCursor;
+      let url = ctx.path + '?' + Qs.stringify(query);
+      ctx.set('Link', '<' + url + '>; rel="next"');
+    }
+    if (ctx.options.envelope) body = { items: body, nextCursor };
+    ctx.body = body;
+  };
+
+  this._isStreamRequested = function(ctx) {
+    if (!ctx.options.stream) return false;
+    if (!ctx.registeredCollection.streaming) {
+      ctx.throw(400, 'streaming is not allowed for this collection', { code: 'streamingNotAllowed' });
+    }
+    return true;
+  };
+
+  this._streamFoundItems = async function(ctx) {
+    let options = _.omit(ctx.options, ['cursor', 'envelope', 'stream', 'limit']);
+    let remaining = Number(ctx.options.limit) || Infinity;
+    let chunkSize = this._getChunkSize(ctx);
+    let startAfter;
+    if (ctx.options.cursor) startAfter = this._decodeCursor(ctx, ctx.options.cursor);
+    await this.streamItems(ctx, 'findItems', 'didFindItems', async function() {
+      let size = Math.min(chunkSize, remaining);
+      let chunkOptions = _.clone(options);
+      chunkOptions.limit = size + 1; // one more item to know if it is the last chunk
+      if (startAfter) {
+        chunkOptions.startAfter = startAfter;
+        delete chunkOptions.start;
+      }
+      let items = await ctx.collection.findItems(chunkOptions);
+      let isLast = items.length <= size;
+      items = items.slice(0, size);
+      remaining -= items.length;
+      if (!remaining) isLast = true;
+      if (items.length) startAfter = this._getOrderKey(_.last(items), options.order);
+      return { items, isLast };
+    }.bind(this));
+  };
+
+  // Writes the items returned by 'fetchChunk' to the response as soon as
+  // they are fetched, so large results are never held in memory. The body
+  // is a JSON array or, if the client accepts it, NDJSON. The first chunk is
+  // fetched before responding, so early errors get a regular error response.
+  // 'event' is emitted for every chunk with { remoteItems, items,
+  // itemsCount (total so far), isLastChunk }.
+  //   async function() {
+  //     return { items, isLast };
+  //   }
+  this.streamItems = async function(ctx, method, event, fetchChunk) {
+    let getUnreadableFields = this._createUnreadableFieldsGetter(ctx, method);
+    let scope = await this.getScope(ctx);
+    ctx.vary('Accept');
+    let isNDJSON = ctx.accepts(JSON_TYPE, NDJSON_TYPE) === NDJSON_TYPE;
+    let cache = {};
+    let itemsCount = 0;
+
+    let stream = new PassThrough();
+    let writer = this._createStreamWriter(ctx, stream);
+    let write = writer.write;
+
+    let writeChunk = async function(chunk) {
+      let items = chunk.items.filter(item => this._matchesScope(item, scope));
+      let remoteItems = items.map(item => {
+        let remoteCollection = this.createRemoteCollection(item, cache);
+        return this.toRemoteItem(item, remoteCollection);
+      });
+      for (let remoteItem of remoteItems) {
+        let unreadableFields = await getUnreadableFields(remoteItem.collection);
+        let body = JSON.stringify(this._makeItemBody(remoteItem, unreadableFields));
+        if (isNDJSON) body += '\n';
+        else body = (itemsCount ? ',' : '') + body;
+        itemsCount++;
+        await write(body);
+        if (writer.isClosed) return;
+      }
+      await this.emitEvent(ctx, event, {
+        remoteItems, items, itemsCount, isLastChunk: chunk.isLast
+      });
+    }.bind(this);
+
+    let chunk = await fetchChunk();
+    let produce = async function() {
+      if (!isNDJSON) await write('[');
+      while (true) {
+        await writeChunk(chunk);
+        if (chunk.isLast || writer.isClosed) break;
+        chunk = await fetchChunk();
+      }
+      if (!isNDJSON) await write(']');
+      stream.end();
+    };
+    produce().catch(err => stream.emit('error', err));
+
+    ctx.type = isNDJSON ? NDJSON_TYPE : JSON_TYPE;
+    ctx.body = stream;
+  };
+
+  // The promises returned by write() are resolved once the stream is
+  // drained (or the response is closed), so a slow client slows down the
+  // writer instead of filling the memory
+  this._createStreamWriter = function(ctx, stream) {
+    let writer = { isClosed: false };
+    let closed = new Promise(resolve => {
+      // the request can be closed as soon as its body is read
+      ctx.res.on('close', () => {
+        writer.isClosed = true;
+        resolve();
+      });
     });
+    writer.write = function(data) {
+      if (stream.write(data)) return Promise.resolve();
+      let drained = new Promise(resolve => stream.once('drain', resolve));
+      return Promise.race([drained, closed]);
+    };
+    return writer;
+  };
+
+  this._getPageSize = function(ctx) {
+    let maxPageSize = this._getChunkSize(ctx);
+    let limit = Number(ctx.options.limit);
+    if (!limit || limit > maxPageSize) limit = maxPageSize;
+    return limit;
+  };
+
+  this._getChunkSize = function(ctx) {
+    return ctx.registeredCollection.maxPageSize || this.maxPageSize;
+  };
+
+  // A cursor is the encoded order key of the last item of a page
+  // (the values of the 'order' properties followed by the primary key)
+  this._encodeCursor = function(item, order) {
+    return util.encodeURIParameter(this._getOrderKey(item, order));
+  };
+
+  this._getOrderKey = function(item, order = []) {
+    if (!_.isArray(order)) order = [order];
+    let value = item.serialize();
+    let key = order.map(name => value[name]);
+    key.push(item.primaryKeyValue);
+    return key;
+  };
+
+  this._decodeCursor = function(ctx, cursor) {
+    let key;
+    try {
+      key = util.decodeURIParameter(cursor);
+    } catch (err) {
+      ctx.throw(400, 'invalid cursor', { code: 'invalidCursor' });
+    }
+    if (!_.isArray(key) || !key.length) ctx.throw(400, 'invalid cursor', { code: 'invalidCursor' });
+    return key;
   };
 
   this.handleCountItemsRequest = async function(ctx) {
+    await this.limitRate(ctx, 'countItems');
     await this.verifyAuthorizationAndAuthorize(ctx, 'countItems');
-    let count = await ctx.collection.countItems(ctx.options);
+    await this.applyScope(ctx);
+    let count = await this.getCachedValue(ctx, 'countItems', ctx.options, async function() {
+      return await ctx.collection.countItems(ctx.options);
+    });
     await this.emitEvent(ctx, 'didCountItems', { count });
     ctx.type = 'application/json';
     ctx.body = count;
   };
 
   this.handleFindAndDeleteItemsRequest = async function(ctx) {
+    await this.limitRate(ctx, 'findAndDeleteItems');
     await this.verifyAuthorizationAndAuthorize(ctx, 'findAndDeleteItems');
+    await this.applyScope(ctx);
     let deletedItemsCount = await ctx.collection.findAndDeleteItems(ctx.options);
-    await this.emitEvent(ctx, 'didFindAndDeleteItems');
+    await this.emitEvent(ctx, 'didFindAndDeleteItems', { deletedItemsCount, method: 'findAndDeleteItems' });
     ctx.type = 'application/json';
     ctx.body = deletedItemsCount;
   };
 
+  // Server-Sent Events stream of the changes ('put' and 'delete' events)
+  // made to the collection. Resumes after the 'Last-Event-ID' header
+  // (or 'lastEventId' option) when possible.
+  this.handleChangesRequest = async function(ctx) {
+    await this.limitRate(ctx, 'getChanges');
+    await this.verifyAuthorizationAndAuthorize(ctx, 'getChanges');
+    let registeredCollection = ctx.registeredCollection;
+    let lastEventId = ctx.get('Last-Event-ID') || ctx.options.lastEventId;
+    let getUnreadableFields = this._createUnreadableFieldsGetter(ctx, 'getChanges');
+    let scope = await this.getScope(ctx);
+
+    let stream = new PassThrough();
+    let writer = this._createStreamWriter(ctx, stream);
+    writer.write(':\n\n'); // flush the headers right away
+    // a client falling too far behind is disconnected (it can resume
+    // with the 'Last-Event-ID' header)
+    let maxPendingChanges = Math.max(registeredCollection.changesBufferSize, MAX_PENDING_CHANGES);
+    let pendingChangesCount = 0;
+    let queue = Promise.resolve();
+    let send = change => {
+      if (++pendingChangesCount > maxPendingChanges) {
+        cleanup();
+        stream.end();
+        return;
+      }
+      queue = queue.then(async function() {
+        pendingChangesCount--;
+        if (writer.isClosed) return;
+        if (!this._matchesScope(change.item, scope)) return;
+        if (!await this.authorizeChange(ctx, change)) return;
+        let data = change.data;
+        let unreadableFields = await getUnreadableFields(change.remoteItem.collection);
+        if (unreadableFields.length) {
+          data = JSON.stringify(this._makeItemBody(change.remoteItem, unreadableFields));
+        }
+        await writer.write('id: ' + change.id + '\nevent: ' + change.type + '\ndata: ' + data + '\n\n');
+      }.bind(this)).catch(err => stream.emit('error', err));
+    };
+    let unsubscribe = registeredCollection.subscribeChanges(send);
+    let heartbeat = setInterval(() => {
+      if (!pendingChangesCount) writer.write(':\n\n');
+    }, 15000);
+    let isCleanedUp = false;
+    let cleanup = function() {
+      if (isCleanedUp) return;
+      isCleanedUp = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+    };
+    if (lastEventId) {
+      registeredCollection.getChangesSince(Number(lastEventId)).forEach(send);
+    }
+    ctx.res.on('close', cleanup);
+    stream.on('end', cleanup);
+
+    ctx.req.setTimeout(0);
+    ctx.type = 'text/event-stream';
+    ctx.set('Cache-Control', 'no-cache');
+    ctx.set('Connection', 'keep-alive');
+    ctx.body = stream;
+  };
+
   this.handleCustomCollectionMethodRequest = async function(ctx, method) {
+    await this.limitRate(ctx, method);
     if (ctx.method === 'POST') await this.readBody(ctx);
     await this.verifyAuthorizationAndAuthorize(ctx, method);
     let fn = ctx.registeredCollection.collectionMethods[method];
@@ -453,10 +2537,14 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
       };
     }
     let result = await this._callCustomMethod(ctx, fn);
+    await this.emitEvent(ctx, 'didCallCollectionMethod', {
+      method, httpMethod: ctx.method, body: ctx.request.body
+    });
     this._writeCustomMethodResult(ctx, result);
   };
 
   this.handleCustomItemMethodRequest = async function(ctx, id, method) {
+    await this.limitRate(ctx, method);
     if (ctx.method === 'POST') await this.readBody(ctx);
     let item = await this._getItem(ctx, id);
     await this.verifyAuthorizationAndAuthorize(ctx, method, { item });
@@ -468,7 +2556,11 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
         };
       };
     }
+    let previousValue = item && item.serialize(); // errorIfMissing can be false
     let result = await this._callCustomMethod(ctx, fn, { item });
+    await this.emitEvent(ctx, 'didCallItemMethod', {
+      item, previousValue, method, httpMethod: ctx.method, body: ctx.request.body
+    });
     this._writeCustomMethodResult(ctx, result);
   };
 
@@ -508,4 +2600,23 @@ let KindaRepositoryServer = KindaObject.extend('KindaRepositoryServer', function
   };
 });
 
+let inheritCollectionOptions = function(parentOptions, options) {
+  let result = _.assign({}, parentOptions, _.omit(options, _.isUndefined));
+  MERGED_COLLECTION_OPTIONS.forEach(key => {
+    if (parentOptions[key] && options[key]) {
+      result[key] = _.assign({}, parentOptions[key], options[key]);
+    }
+  });
+  if (parentOptions.validators && options.validators) {
+    result.validators = parentOptions.validators.concat(options.validators);
+  }
+  if (parentOptions.hooks && options.hooks) {
+    result.hooks = {};
+    _.union(_.keys(parentOptions.hooks), _.keys(options.hooks)).forEach(phase => {
+      result.hooks[phase] = _.assign({}, parentOptions.hooks[phase], options.hooks[phase]);
+    });
+  }
+  return result;
+};
+
 module.exports = KindaRepositoryServer;
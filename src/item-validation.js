@@ -0,0 +1,87 @@
+'use strict';
+
+let _ = require('lodash');
+
+// Checks a JSON value against the properties declared on the item class
+// of a collection.
+// Returns an array of errors such as:
+//   { path: 'age', code: 'typeMismatch', message: 'should be a number' }
+// Options:
+//   requirePrimaryKey: if true, the primary key must be present.
+//   primaryKeyValue: if set, the primary key must be equal to it.
+let validateItemValue = function(collection, value, options = {}) {
+  if (!_.isPlainObject(value)) {
+    return [{ path: '', code: 'invalidBody', message: 'should be an object' }];
+  }
+
+  let errors = [];
+  let itemClass = collection.Item;
+  let itemPrototype = itemClass.prototype;
+  let properties = itemPrototype.properties;
+
+  _.forOwn(value, (val, key) => {
+    let prop = _.has(properties, key) && properties[key]; // not 'constructor'...
+    if (!prop) {
+      errors.push({ path: key, code: 'unknownProperty', message: 'is not a property of \'' + itemClass.name + '\'' });
+      return;
+    }
+    if (val == null) return;
+    let expectedType = checkType(prop.type, val);
+    if (expectedType) {
+      errors.push({ path: key, code: 'typeMismatch', message: 'should be ' + expectedType });
+    }
+  });
+
+  if (itemPrototype.primaryKeyProperty) {
+    let primaryKeyName = itemPrototype.primaryKeyName;
+    let primaryKeyValue = value[primaryKeyName];
+    if (primaryKeyValue == null) {
+      if (options.requirePrimaryKey) {
+        errors.push({ path: primaryKeyName, code: 'missingPrimaryKey', message: 'is required' });
+      }
+    } else if (options.primaryKeyValue != null && String(primaryKeyValue) !== String(options.primaryKeyValue)) {
+      errors.push({ path: primaryKeyName, code: 'primaryKeyMismatch', message: 'should be equal to \'' + options.primaryKeyValue + '\'' });
+    }
+  }
+
+  if (errors.length) return errors;
+
+  // Property validators (such as 'isRequired') declared on the item class
+  let item = collection.unserializeItem(value);
+  let validity = item.checkValidity();
+  if (!validity.isValid) {
+    validity.reasons.forEach(reason => {
+      errors.push({
+        path: reason.path,
+        code: 'failedValidator',
+        message: 'failed validator \'' + reason.failedValidator + '\'',
+        validator: reason.failedValidator
+      });
+    });
+  }
+
+  return errors;
+};
+
+// Returns a description of the expected type if the value doesn't match
+let checkType = function(type, val) {
+  if (type === String) {
+    if (typeof val !== 'string') return 'a string';
+  } else if (type === Number) {
+    if (typeof val !== 'number' || !isFinite(val)) return 'a number';
+  } else if (type === Boolean) {
+    if (typeof val !== 'boolean') return 'a boolean';
+  } else if (type === Date) {
+    if (typeof val !== 'string' && typeof val !== 'number') return 'a date';
+    if (isNaN(new Date(val).getTime())) return 'a date';
+  } else if (type === Array) {
+    if (!_.isArray(val)) return 'an array';
+  } else if (type === Object) {
+    if (!_.isPlainObject(val)) return 'an object';
+  }
+  return undefined;
+};
+
+module.exports = {
+  validateItemValue
+};
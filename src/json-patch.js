@@ -0,0 +1,129 @@
+'use strict';
+
+let _ = require('lodash');
+
+// RFC 7386 (JSON Merge Patch)
+let applyMergePatch = function(target, patch) {
+  if (!_.isPlainObject(patch)) return _.cloneDeep(patch);
+  let result = _.isPlainObject(target) ? _.clone(target) : {};
+  _.forOwn(patch, (value, key) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+// RFC 6902 (JavaScript Object Notation (JSON) Patch)
+let applyJSONPatch = function(target, operations) {
+  if (!_.isArray(operations)) throw new Error('a JSON patch should be an array of operations');
+  let document = _.cloneDeep(target);
+  operations.forEach(operation => {
+    if (!_.isPlainObject(operation)) throw new Error('invalid JSON patch operation');
+    let op = operation.op;
+    let path = parsePointer(operation.path);
+    if (op === 'add') {
+      document = addValue(document, path, requireValue(operation));
+    } else if (op === 'remove') {
+      document = removeValue(document, path);
+    } else if (op === 'replace') {
+      document = removeValue(document, path);
+      document = addValue(document, path, requireValue(operation));
+    } else if (op === 'move') {
+      let from = parsePointer(operation.from);
+      if (isPrefix(from, path) && from.length < path.length) {
+        throw new Error('cannot move a value into one of its children');
+      }
+      let value = getValue(document, from);
+      document = removeValue(document, from);
+      document = addValue(document, path, value);
+    } else if (op === 'copy') {
+      let value = getValue(document, parsePointer(operation.from));
+      document = addValue(document, path, _.cloneDeep(value));
+    } else if (op === 'test') {
+      if (!_.isEqual(getValue(document, path), requireValue(operation))) {
+        throw new Error('test operation failed (path=\'' + operation.path + '\')');
+      }
+    } else {
+      throw new Error('unknown JSON patch operation \'' + op + '\'');
+    }
+  });
+  return document;
+};
+
+// RFC 6901 (JSON Pointer)
+let parsePointer = function(pointer) {
+  if (typeof pointer !== 'string') throw new Error('JSON pointer is missing');
+  if (pointer === '') return [];
+  if (pointer[0] !== '/') throw new Error('invalid JSON pointer \'' + pointer + '\'');
+  return pointer.slice(1).split('/').map(token => {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+};
+
+let requireValue = function(operation) {
+  if (!operation.hasOwnProperty('value')) throw new Error('value is missing');
+  return operation.value;
+};
+
+let isPrefix = function(prefix, path) {
+  return _.isEqual(prefix, path.slice(0, prefix.length));
+};
+
+let parseArrayIndex = function(array, token, allowEnd) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw new Error('invalid array index \'' + token + '\'');
+  let index = Number(token);
+  let max = allowEnd ? array.length : array.length - 1;
+  if (index > max) throw new Error('array index out of bounds \'' + token + '\'');
+  return index;
+};
+
+let getValue = function(document, path) {
+  let value = document;
+  path.forEach(token => {
+    if (_.isArray(value)) {
+      value = value[parseArrayIndex(value, token)];
+    } else if (_.isPlainObject(value) && value.hasOwnProperty(token)) {
+      value = value[token];
+    } else {
+      throw new Error('path not found \'/' + path.join('/') + '\'');
+    }
+  });
+  return value;
+};
+
+let addValue = function(document, path, value) {
+  if (!path.length) return value;
+  let parent = getValue(document, path.slice(0, -1));
+  let token = _.last(path);
+  if (_.isArray(parent)) {
+    parent.splice(parseArrayIndex(parent, token, true), 0, value);
+  } else if (_.isPlainObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw new Error('path not found \'/' + path.join('/') + '\'');
+  }
+  return document;
+};
+
+let removeValue = function(document, path) {
+  if (!path.length) return undefined;
+  let parent = getValue(document, path.slice(0, -1));
+  let token = _.last(path);
+  if (_.isArray(parent)) {
+    parent.splice(parseArrayIndex(parent, token), 1);
+  } else if (_.isPlainObject(parent) && parent.hasOwnProperty(token)) {
+    delete parent[token];
+  } else {
+    throw new Error('path not found \'/' + path.join('/') + '\'');
+  }
+  return document;
+};
+
+module.exports = {
+  applyMergePatch,
+  applyJSONPatch
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+let KindaObject = require('kinda-object');
+let ExpiringMap = require('./expiring-map');
+
+// Default store of the response cache (an expiring map by namespace)
+
+let MemoryCacheStore = KindaObject.extend('MemoryCacheStore', function() {
+  this.creator = function() {
+    this.namespaces = {};
+  };
+
+  this.get = async function(namespace, key) {
+    let entries = this.namespaces[namespace];
+    return entries && entries.get(key);
+  };
+
+  this.set = async function(namespace, key, value, duration) {
+    let entries = this.namespaces[namespace];
+    if (!entries) entries = this.namespaces[namespace] = ExpiringMap.create();
+    entries.set(key, value, duration);
+  };
+
+  this.clear = async function(namespace) {
+    delete this.namespaces[namespace];
+  };
+});
+
+module.exports = MemoryCacheStore;
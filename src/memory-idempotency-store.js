@@ -0,0 +1,35 @@
+'use strict';
+
+let KindaObject = require('kinda-object');
+let ExpiringMap = require('./expiring-map');
+
+// Default store of the responses of the requests having an 'Idempotency-Key'
+// header (see KindaRepositoryServer.callIdempotentHandler)
+
+let MemoryIdempotencyStore = KindaObject.extend('MemoryIdempotencyStore', function() {
+  this.creator = function() {
+    this.entries = ExpiringMap.create();
+  };
+
+  this.get = async function(key) {
+    return this.entries.get(key);
+  };
+
+  // Sets the value unless the key is already present (atomically, there is
+  // no await in between) and returns whether it was set
+  this.add = async function(key, value, duration) {
+    if (this.entries.get(key) !== undefined) return false;
+    this.entries.set(key, value, duration);
+    return true;
+  };
+
+  this.set = async function(key, value, duration) {
+    this.entries.set(key, value, duration);
+  };
+
+  this.delete = async function(key) {
+    this.entries.delete(key);
+  };
+});
+
+module.exports = MemoryIdempotencyStore;
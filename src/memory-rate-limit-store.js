@@ -0,0 +1,27 @@
+'use strict';
+
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+let ExpiringMap = require('./expiring-map');
+
+// Default counter store of the rate limiter (one fixed window per key)
+
+let MemoryRateLimitStore = KindaObject.extend('MemoryRateLimitStore', function() {
+  this.creator = function() {
+    this.counters = ExpiringMap.create();
+  };
+
+  // Increments the counter of the current window of 'key'
+  // and returns { count, resetTime }
+  this.increment = async function(key, duration) {
+    let counter = this.counters.get(key);
+    if (!counter) {
+      counter = { count: 0, resetTime: Date.now() + duration };
+      this.counters.set(key, counter, duration);
+    }
+    counter.count++;
+    return _.clone(counter);
+  };
+});
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,88 @@
+'use strict';
+
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+
+let DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+// Counts the requests handled by the server (by collection and method)
+// and renders them in the Prometheus text format
+
+let Metrics = KindaObject.extend('Metrics', function() {
+  // Options:
+  //   prefix: prefix of the metric names. Default: 'kinda_repository_server_'.
+  //   buckets: upper bounds (in seconds) of the latency histogram buckets.
+  //     Default: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  this.creator = function(options = {}) {
+    this.prefix = options.prefix == null ? 'kinda_repository_server_' : options.prefix;
+    this.buckets = _.sortBy(options.buckets || DEFAULT_BUCKETS);
+    this.series = {};
+  };
+
+  // timing: { collection, method, status, duration (in ms) }
+  this.record = function(timing) {
+    let labels = { collection: timing.collection || '', method: timing.method || 'unknown' };
+    let key = labels.collection + ' ' + labels.method;
+    let series = this.series[key];
+    if (!series) {
+      series = this.series[key] = {
+        labels,
+        count: 0,
+        errorCount: 0,
+        durationSum: 0,
+        bucketCounts: this.buckets.map(() => 0)
+      };
+    }
+    let duration = timing.duration / 1000;
+    series.count++;
+    if (timing.status >= 400) series.errorCount++;
+    series.durationSum += duration;
+    this.buckets.forEach((bound, index) => {
+      if (duration <= bound) series.bucketCounts[index]++;
+    });
+  };
+
+  this.toPrometheus = function() {
+    let name = this.prefix + 'requests_total';
+    let lines = [
+      '# HELP ' + name + ' Number of requests handled.',
+      '# TYPE ' + name + ' counter'
+    ];
+    _.forOwn(this.series, series => {
+      lines.push(name + formatLabels(series.labels) + ' ' + series.count);
+    });
+
+    name = this.prefix + 'request_errors_total';
+    lines.push('# HELP ' + name + ' Number of requests answered with an error (status >= 400).');
+    lines.push('# TYPE ' + name + ' counter');
+    _.forOwn(this.series, series => {
+      lines.push(name + formatLabels(series.labels) + ' ' + series.errorCount);
+    });
+
+    name = this.prefix + 'request_duration_seconds';
+    lines.push('# HELP ' + name + ' Time spent handling the requests.');
+    lines.push('# TYPE ' + name + ' histogram');
+    _.forOwn(this.series, series => {
+      this.buckets.forEach((bound, index) => {
+        let labels = _.assign({}, series.labels, { le: String(bound) });
+        lines.push(name + '_bucket' + formatLabels(labels) + ' ' + series.bucketCounts[index]);
+      });
+      let labels = _.assign({}, series.labels, { le: '+Inf' });
+      lines.push(name + '_bucket' + formatLabels(labels) + ' ' + series.count);
+      lines.push(name + '_sum' + formatLabels(series.labels) + ' ' + series.durationSum);
+      lines.push(name + '_count' + formatLabels(series.labels) + ' ' + series.count);
+    });
+
+    return lines.join('\n') + '\n';
+  };
+});
+
+let formatLabels = function(labels) {
+  let pairs = _.map(labels, (value, key) => {
+    value = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return key + '="' + value + '"';
+  });
+  return '{' + pairs.join(',') + '}';
+};
+
+module.exports = Metrics;
@@ -0,0 +1,208 @@
+'use strict';
+
+let _ = require('lodash');
+
+// MessagePack (https://github.com/msgpack/msgpack/blob/master/spec.md)
+// Values are encoded like JSON.stringify would see them (toJSON() is
+// honoured and undefined object attributes are skipped).
+// Extension types are not supported.
+
+let encode = function(value) {
+  let buffers = [];
+  write(buffers, value);
+  return Buffer.concat(buffers);
+};
+
+let writeHeader = function(buffers, type, length, size) {
+  let buffer = new Buffer(1 + size);
+  buffer[0] = type;
+  if (size === 1) buffer.writeUInt8(length, 1);
+  else if (size === 2) buffer.writeUInt16BE(length, 1);
+  else if (size === 4) buffer.writeUInt32BE(length, 1);
+  buffers.push(buffer);
+};
+
+// Writes the header of a string, a binary, an array or a map
+let writeLength = function(buffers, length, fixType, fixMax, type8, type16, type32) {
+  if (length <= fixMax) writeHeader(buffers, fixType | length, 0, 0);
+  else if (type8 && length < 0x100) writeHeader(buffers, type8, length, 1);
+  else if (length < 0x10000) writeHeader(buffers, type16, length, 2);
+  else writeHeader(buffers, type32, length, 4);
+};
+
+let writeInteger = function(buffers, value) {
+  let buffer;
+  if (value >= 0 && value < 0x80) {
+    buffer = new Buffer([value]);
+  } else if (value >= 0 && value < 0x100) {
+    buffer = new Buffer([0xcc, value]);
+  } else if (value >= 0 && value < 0x10000) {
+    buffer = new Buffer(3);
+    buffer[0] = 0xcd;
+    buffer.writeUInt16BE(value, 1);
+  } else if (value >= 0 && value < 0x100000000) {
+    buffer = new Buffer(5);
+    buffer[0] = 0xce;
+    buffer.writeUInt32BE(value, 1);
+  } else if (value >= 0) {
+    buffer = new Buffer(9);
+    buffer[0] = 0xcf;
+    buffer.writeUInt32BE(Math.floor(value / 0x100000000), 1);
+    buffer.writeUInt32BE(value % 0x100000000, 5);
+  } else if (value >= -0x20) {
+    buffer = new Buffer([value & 0xff]);
+  } else if (value >= -0x80) {
+    buffer = new Buffer(2);
+    buffer[0] = 0xd0;
+    buffer.writeInt8(value, 1);
+  } else if (value >= -0x8000) {
+    buffer = new Buffer(3);
+    buffer[0] = 0xd1;
+    buffer.writeInt16BE(value, 1);
+  } else if (value >= -0x80000000) {
+    buffer = new Buffer(5);
+    buffer[0] = 0xd2;
+    buffer.writeInt32BE(value, 1);
+  } else {
+    let high = Math.floor(value / 0x100000000);
+    buffer = new Buffer(9);
+    buffer[0] = 0xd3;
+    buffer.writeInt32BE(high, 1);
+    buffer.writeUInt32BE(value - high * 0x100000000, 5);
+  }
+  buffers.push(buffer);
+};
+
+let write = function(buffers, value) {
+  if (value != null && !Buffer.isBuffer(value) && typeof value.toJSON === 'function') value = value.toJSON();
+  if (value == null) {
+    buffers.push(new Buffer([0xc0]));
+  } else if (value === false) {
+    buffers.push(new Buffer([0xc2]));
+  } else if (value === true) {
+    buffers.push(new Buffer([0xc3]));
+  } else if (typeof value === 'number') {
+    if (value % 1 === 0 && Math.abs(value) <= Number.MAX_SAFE_INTEGER) {
+      writeInteger(buffers, value);
+    } else {
+      let buffer = new Buffer(9);
+      buffer[0] = 0xcb;
+      buffer.writeDoubleBE(value, 1);
+      buffers.push(buffer);
+    }
+  } else if (typeof value === 'string') {
+    let buffer = new Buffer(value, 'utf8');
+    writeLength(buffers, buffer.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+    buffers.push(buffer);
+  } else if (Buffer.isBuffer(value)) {
+    writeLength(buffers, value.length, 0, -1, 0xc4, 0xc5, 0xc6);
+    buffers.push(value);
+  } else if (_.isArray(value)) {
+    writeLength(buffers, value.length, 0x90, 15, undefined, 0xdc, 0xdd);
+    value.forEach(item => write(buffers, item));
+  } else if (typeof value === 'object') {
+    let keys = _.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+    writeLength(buffers, keys.length, 0x80, 15, undefined, 0xde, 0xdf);
+    keys.forEach(key => {
+      write(buffers, key);
+      write(buffers, value[key]);
+    });
+  } else {
+    throw new Error('cannot encode a value of type \'' + typeof value + '\' with MessagePack');
+  }
+};
+
+let decode = function(buffer) {
+  let state = { buffer, offset: 0 };
+  let value = read(state);
+  if (state.offset !== buffer.length) throw new Error('unexpected data after the MessagePack value');
+  return value;
+};
+
+let readBytes = function(state, length) {
+  if (state.offset + length > state.buffer.length) throw new Error('unexpected end of MessagePack data');
+  let start = state.offset;
+  state.offset += length;
+  return start;
+};
+
+let readUInt = function(state, size) {
+  let offset = readBytes(state, size);
+  if (size === 1) return state.buffer.readUInt8(offset);
+  if (size === 2) return state.buffer.readUInt16BE(offset);
+  if (size === 4) return state.buffer.readUInt32BE(offset);
+  return state.buffer.readUInt32BE(offset) * 0x100000000 + state.buffer.readUInt32BE(offset + 4);
+};
+
+let readInt = function(state, size) {
+  let offset = readBytes(state, size);
+  if (size === 1) return state.buffer.readInt8(offset);
+  if (size === 2) return state.buffer.readInt16BE(offset);
+  if (size === 4) return state.buffer.readInt32BE(offset);
+  return state.buffer.readInt32BE(offset) * 0x100000000 + state.buffer.readUInt32BE(offset + 4);
+};
+
+let readString = function(state, length) {
+  let offset = readBytes(state, length);
+  return state.buffer.toString('utf8', offset, offset + length);
+};
+
+let readBinary = function(state, length) {
+  let offset = readBytes(state, length);
+  return state.buffer.slice(offset, offset + length);
+};
+
+let readArray = function(state, length) {
+  let array = [];
+  for (let i = 0; i < length; i++) array.push(read(state));
+  return array;
+};
+
+let readMap = function(state, length) {
+  let map = {};
+  for (let i = 0; i < length; i++) {
+    let key = read(state);
+    map[key] = read(state);
+  }
+  return map;
+};
+
+let read = function(state) {
+  let type = readUInt(state, 1);
+  if (type < 0x80) return type;
+  if (type < 0x90) return readMap(state, type & 0x0f);
+  if (type < 0xa0) return readArray(state, type & 0x0f);
+  if (type < 0xc0) return readString(state, type & 0x1f);
+  if (type >= 0xe0) return type - 0x100;
+  switch (type) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return readBinary(state, readUInt(state, 1));
+    case 0xc5: return readBinary(state, readUInt(state, 2));
+    case 0xc6: return readBinary(state, readUInt(state, 4));
+    case 0xca: return state.buffer.readFloatBE(readBytes(state, 4));
+    case 0xcb: return state.buffer.readDoubleBE(readBytes(state, 8));
+    case 0xcc: return readUInt(state, 1);
+    case 0xcd: return readUInt(state, 2);
+    case 0xce: return readUInt(state, 4);
+    case 0xcf: return readUInt(state, 8);
+    case 0xd0: return readInt(state, 1);
+    case 0xd1: return readInt(state, 2);
+    case 0xd2: return readInt(state, 4);
+    case 0xd3: return readInt(state, 8);
+    case 0xd9: return readString(state, readUInt(state, 1));
+    case 0xda: return readString(state, readUInt(state, 2));
+    case 0xdb: return readString(state, readUInt(state, 4));
+    case 0xdc: return readArray(state, readUInt(state, 2));
+    case 0xdd: return readArray(state, readUInt(state, 4));
+    case 0xde: return readMap(state, readUInt(state, 2));
+    case 0xdf: return readMap(state, readUInt(state, 4));
+    default: throw new Error('unsupported MessagePack type 0x' + type.toString(16));
+  }
+};
+
+module.exports = {
+  encode,
+  decode
+};
@@ -0,0 +1,570 @@
+'use strict';
+
+let _ = require('lodash');
+
+// Generates an OpenAPI 3 document describing the routes of a repository server
+
+let generateOpenAPIDocument = function(server, prefix = '') {
+  let document = {
+    openapi: '3.0.0',
+    info: _.assign({
+      title: server.remoteRepository.name,
+      version: server.versionName || '1.0.0'
+    }, server.openAPIInfo),
+    servers: [{ url: prefix || '/' }],
+    paths: {},
+    components: {
+      schemas: {
+        RemoteItem: {
+          type: 'object',
+          properties: {
+            class: { type: 'string' },
+            value: { type: 'object' }
+          },
+          required: ['class', 'value']
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            message: { type: 'string' },
+            status: { type: 'integer' },
+            details: { type: 'object' }
+          },
+          required: ['code', 'message', 'status']
+        }
+      },
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        authorization: { type: 'apiKey', in: 'query', name: 'authorization' }
+      }
+    },
+    security: [{ bearer: [] }, { authorization: [] }]
+  };
+
+  if (server.authorizationCookie) {
+    document.components.securitySchemes.cookie = {
+      type: 'apiKey', in: 'cookie', name: server.authorizationCookie
+    };
+    document.security.push({ cookie: [] });
+  }
+
+  addRepositoryPaths(document);
+  if (server.auditor) addAuditPaths(document);
+  if (server.metrics) addMetricsPaths(document);
+  if (server.graphQL) addGraphQLPaths(document);
+
+  _.forOwn(server.registeredCollections, registeredCollection => {
+    let klass = server.remoteRepository.collectionClasses[registeredCollection.name];
+    let itemClass = klass.prototype.Item;
+    document.components.schemas[itemClass.name] = makeItemSchema(itemClass);
+    addCollectionPaths(document, registeredCollection, itemClass);
+    if (server.attachmentStore) addAttachmentPaths(document, registeredCollection);
+  });
+
+  return document;
+};
+
+let makeItemSchema = function(itemClass) {
+  let itemPrototype = itemClass.prototype;
+  let schema = { type: 'object', properties: {} };
+  _.forOwn(itemPrototype.properties, (prop, name) => {
+    schema.properties[name] = makePropertySchema(prop);
+  });
+  if (itemPrototype.primaryKeyProperty) {
+    schema['x-primary-key'] = itemPrototype.primaryKeyName;
+  }
+  return schema;
+};
+
+let makePropertySchema = function(prop) {
+  let type = prop.type;
+  if (type === String) return { type: 'string' };
+  if (type === Number) return { type: 'number' };
+  if (type === Boolean) return { type: 'boolean' };
+  if (type === Date) return { type: 'string', format: 'date-time' };
+  if (type === Array) return { type: 'array', items: {} };
+  return { type: 'object' };
+};
+
+let makeRemoteItemSchema = function(itemClassName) {
+  return {
+    allOf: [
+      { $ref: '#/components/schemas/RemoteItem' },
+      {
+        type: 'object',
+        properties: {
+          value: { $ref: '#/components/schemas/' + itemClassName }
+        }
+      }
+    ]
+  };
+};
+
+let jsonContent = function(schema) {
+  return { 'application/json': { schema } };
+};
+
+let makeResponse = function(description, schema) {
+  let response = { description };
+  if (schema) response.content = jsonContent(schema);
+  return response;
+};
+
+let makeErrorResponse = function(description) {
+  return makeResponse(description, { $ref: '#/components/schemas/Error' });
+};
+
+let addRepositoryPaths = function(document) {
+  let paths = document.paths;
+
+  paths['/'] = {
+    get: {
+      operationId: 'getRepositoryId',
+      responses: {
+        200: makeResponse('Repository id', {
+          type: 'object',
+          properties: { repositoryId: { type: 'string' } }
+        })
+      }
+    }
+  };
+
+  paths['/ping'] = {
+    get: {
+      operationId: 'ping',
+      security: [],
+      responses: { 200: { description: 'pong', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+  };
+
+  let healthSchema = {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      dependencies: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'failed'] },
+            duration: { type: 'integer' },
+            error: { type: 'string', enum: ['timeout', 'unreachable'] }
+          }
+        }
+      }
+    }
+  };
+  paths['/health'] = {
+    get: {
+      operationId: 'getHealth',
+      security: [],
+      responses: {
+        200: makeResponse('Healthy', healthSchema),
+        503: makeResponse('Degraded', healthSchema)
+      }
+    }
+  };
+
+  paths['/openapi.json'] = {
+    get: {
+      operationId: 'getOpenAPIDocument',
+      responses: { 200: makeResponse('OpenAPI document', { type: 'object' }) }
+    }
+  };
+
+  paths['/authorizations'] = {
+    post: {
+      operationId: 'signInWithCredentials',
+      security: [],
+      requestBody: { content: jsonContent({ type: 'object' }) },
+      responses: {
+        201: makeResponse('Authorization', { type: 'string' }),
+        403: makeErrorResponse('Sign in failed')
+      }
+    }
+  };
+
+  let authorizationParameter = {
+    name: 'authorization', in: 'path', required: true, schema: { type: 'string' }
+  };
+  paths['/authorizations/{authorization}'] = {
+    get: {
+      operationId: 'signInWithAuthorization',
+      security: [],
+      parameters: [authorizationParameter],
+      responses: { 204: { description: 'Valid authorization' }, 403: makeErrorResponse('Sign in failed') }
+    },
+    delete: {
+      operationId: 'signOut',
+      security: [],
+      parameters: [authorizationParameter],
+      responses: { 204: { description: 'Signed out' } }
+    }
+  };
+
+  paths['/authorizations/{authorization}/refresh'] = {
+    post: {
+      operationId: 'refreshAuthorization',
+      security: [],
+      parameters: [authorizationParameter],
+      responses: {
+        201: makeResponse('New authorization', { type: 'string' }),
+        403: makeErrorResponse('Refresh failed')
+      }
+    }
+  };
+};
+
+let addMetricsPaths = function(document) {
+  document.paths['/metrics'] = {
+    get: {
+      operationId: 'getMetrics',
+      responses: {
+        200: {
+          description: 'Request metrics (Prometheus text format)',
+          content: { 'text/plain': { schema: { type: 'string' } } }
+        }
+      }
+    }
+  };
+};
+
+let addGraphQLPaths = function(document) {
+  let resultSchema = {
+    type: 'object',
+    properties: {
+      data: { type: 'object' },
+      errors: { type: 'array', items: { $ref: '#/components/schemas/Error' } }
+    }
+  };
+  let parameters = [
+    { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+    { name: 'variables', in: 'query', schema: { type: 'string' } },
+    { name: 'operationName', in: 'query', schema: { type: 'string' } }
+  ];
+  document.paths['/graphql'] = {
+    get: {
+      operationId: 'graphQLQuery',
+      parameters,
+      responses: {
+        200: makeResponse('GraphQL result', resultSchema),
+        400: makeResponse('Invalid query', resultSchema)
+      }
+    },
+    post: {
+      operationId: 'graphQL',
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['query'],
+          properties: {
+            query: { type: 'string' },
+            variables: { type: 'object' },
+            operationName: { type: 'string' }
+          }
+        })
+      },
+      responses: {
+        200: makeResponse('GraphQL result', resultSchema),
+        400: makeResponse('Invalid query', resultSchema)
+      }
+    }
+  };
+};
+
+let addAuditPaths = function(document) {
+  document.paths['/audit-log'] = {
+    get: {
+      operationId: 'getAuditLog',
+      parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+      responses: {
+        200: makeResponse('Audit entries', {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              date: { type: 'string', format: 'date-time' },
+              requestId: { type: 'string' },
+              identity: {},
+              collectionSlug: { type: 'string' },
+              itemId: { type: 'string' },
+              type: {
+                type: 'string',
+                enum: ['put', 'delete', 'findAndDelete', 'call', 'putAttachment', 'deleteAttachment']
+              },
+              method: { type: 'string' },
+              diff: { type: 'object' },
+              details: { type: 'object' }
+            }
+          }
+        })
+      }
+    }
+  };
+};
+
+let addCollectionPaths = function(document, registeredCollection, itemClass) {
+  let paths = document.paths;
+  let slug = registeredCollection.slug;
+  let name = registeredCollection.name;
+  let tags = [name];
+  let itemSchema = { $ref: '#/components/schemas/' + itemClass.name };
+  let remoteItemSchema = makeRemoteItemSchema(itemClass.name);
+  let remoteItemsSchema = { type: 'array', items: remoteItemSchema };
+  let idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+  let ifMatchParameter = { name: 'If-Match', in: 'header', schema: { type: 'string' } };
+
+  let findParameters = [
+    { name: 'limit', in: 'query', schema: { type: 'integer' } },
+    { name: 'cursor', in: 'query', schema: { type: 'string' } },
+    { name: 'envelope', in: 'query', schema: { type: 'boolean' } }
+  ];
+  if (registeredCollection.streaming) {
+    findParameters.push({ name: 'stream', in: 'query', schema: { type: 'boolean' } });
+  }
+
+  paths['/' + slug] = {
+    get: {
+      operationId: 'findItems' + name,
+      tags,
+      parameters: findParameters,
+      responses: {
+        200: {
+          description: 'Items (a \'Link\' header points to the next page, if any)',
+          content: jsonContent({
+            oneOf: [
+              remoteItemsSchema,
+              {
+                type: 'object',
+                properties: { items: remoteItemsSchema, nextCursor: { type: 'string' } }
+              }
+            ]
+          })
+        }
+      }
+    },
+    post: {
+      operationId: 'postItem' + name,
+      tags,
+      parameters: [makeIdempotencyKeyParameter()],
+      requestBody: { required: true, content: jsonContent(itemSchema) },
+      responses: {
+        201: makeResponse('Created item', remoteItemSchema),
+        409: makeErrorResponse('Request with the same idempotency key in progress'),
+        422: makeErrorResponse('Validation failed or idempotency key reused')
+      }
+    },
+    delete: {
+      operationId: 'findAndDeleteItems' + name,
+      tags,
+      responses: { 200: makeResponse('Number of deleted items', { type: 'integer' }) }
+    }
+  };
+
+  paths['/' + slug + '/count'] = {
+    get: {
+      operationId: 'countItems' + name,
+      tags,
+      responses: { 200: makeResponse('Number of items', { type: 'integer' }) }
+    }
+  };
+
+  paths['/' + slug + '/get-items'] = {
+    post: {
+      operationId: 'getItems' + name,
+      tags,
+      requestBody: { required: true, content: jsonContent({ type: 'array', items: { type: 'string' } }) },
+      responses: { 201: makeResponse('Items', remoteItemsSchema) }
+    }
+  };
+
+  paths['/' + slug + '/batch'] = {
+    post: {
+      operationId: 'batch' + name,
+      tags,
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['post', 'put', 'patch', 'delete'] },
+              id: { type: 'string' },
+              value: itemSchema,
+              patch: {},
+              ifMatch: { type: 'string' }
+            },
+            required: ['type']
+          }
+        })
+      },
+      responses: { 201: makeResponse('Operation results', { type: 'array', items: {} }) }
+    }
+  };
+
+  paths['/' + slug + '/changes'] = {
+    get: {
+      operationId: 'getChanges' + name,
+      tags,
+      parameters: [{ name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Server-Sent Events stream of \'put\' and \'delete\' events',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+      }
+    }
+  };
+
+  paths['/' + slug + '/{id}'] = {
+    get: {
+      operationId: 'getItem' + name,
+      tags,
+      parameters: [idParameter, { name: 'If-None-Match', in: 'header', schema: { type: 'string' } }],
+      responses: {
+        200: makeResponse('Item', remoteItemSchema),
+        204: { description: 'Missing item (with errorIfMissing=false)' },
+        304: { description: 'Not modified' },
+        404: makeErrorResponse('Item not found')
+      }
+    },
+    put: {
+      operationId: 'putItem' + name,
+      tags,
+      parameters: [idParameter, ifMatchParameter],
+      requestBody: { required: true, content: jsonContent(itemSchema) },
+      responses: {
+        200: makeResponse('Updated item', remoteItemSchema),
+        412: makeErrorResponse('Precondition failed'),
+        422: makeErrorResponse('Validation failed')
+      }
+    },
+    patch: {
+      operationId: 'patchItem' + name,
+      tags,
+      parameters: [idParameter, ifMatchParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/merge-patch+json': { schema: { type: 'object' } },
+          'application/json-patch+json': { schema: { type: 'array', items: { type: 'object' } } }
+        }
+      },
+      responses: {
+        200: makeResponse('Patched item', remoteItemSchema),
+        412: makeErrorResponse('Precondition failed'),
+        422: makeErrorResponse('Invalid patch or validation failed')
+      }
+    },
+    delete: {
+      operationId: 'deleteItem' + name,
+      tags,
+      parameters: [idParameter, ifMatchParameter],
+      responses: {
+        200: makeResponse('Whether the item has been deleted', { type: 'boolean' }),
+        412: makeErrorResponse('Precondition failed')
+      }
+    }
+  };
+
+  _.forOwn(registeredCollection.collectionMethods, (fn, method) => {
+    paths['/' + slug + '/' + _.kebabCase(method)] = makeCustomMethodPathItem(method + name, tags);
+  });
+
+  _.forOwn(registeredCollection.itemMethods, (fn, method) => {
+    let pathItem = makeCustomMethodPathItem(method + name, tags);
+    pathItem.parameters = [idParameter];
+    paths['/' + slug + '/{id}/' + _.kebabCase(method)] = pathItem;
+  });
+};
+
+let addAttachmentPaths = function(document, registeredCollection) {
+  let slug = registeredCollection.slug;
+  let name = registeredCollection.name;
+  let tags = [name];
+  let parameters = [
+    { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    { name: 'name', in: 'path', required: true, schema: { type: 'string', pattern: '^\\w[\\w.-]{0,127}$' } }
+  ];
+  let attachmentSchema = {
+    type: 'object',
+    properties: {
+      contentType: { type: 'string' },
+      fileName: { type: 'string' },
+      size: { type: 'integer' }
+    }
+  };
+  document.paths['/' + slug + '/{id}/attachments/{name}'] = {
+    get: {
+      operationId: 'getAttachment' + name,
+      tags,
+      parameters,
+      responses: {
+        200: { description: 'Attachment', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        404: makeErrorResponse('Item or attachment not found')
+      }
+    },
+    put: {
+      operationId: 'putAttachment' + name,
+      tags,
+      parameters,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+          },
+          '*/*': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: makeResponse('Stored attachment', attachmentSchema),
+        413: makeErrorResponse('Attachment too large')
+      }
+    },
+    delete: {
+      operationId: 'deleteAttachment' + name,
+      tags,
+      parameters,
+      responses: { 200: makeResponse('Whether the attachment existed', { type: 'boolean' }) }
+    }
+  };
+};
+
+let makeCustomMethodPathItem = function(operationId, tags) {
+  return {
+    get: {
+      operationId,
+      tags,
+      responses: {
+        200: { description: 'Result of the custom method' },
+        204: { description: 'No result' }
+      }
+    },
+    post: {
+      operationId: operationId + 'WithBody',
+      tags,
+      parameters: [makeIdempotencyKeyParameter()],
+      requestBody: { content: jsonContent({}) },
+      responses: {
+        201: { description: 'Result of the custom method' },
+        204: { description: 'No result' },
+        409: makeErrorResponse('Request with the same idempotency key in progress'),
+        422: makeErrorResponse('Idempotency key reused')
+      }
+    }
+  };
+};
+
+// Retries of a POST request with the same key replay the first response
+let makeIdempotencyKeyParameter = function() {
+  return { name: 'Idempotency-Key', in: 'header', schema: { type: 'string', maxLength: 255 } };
+};
+
+module.exports = {
+  generateOpenAPIDocument
+};
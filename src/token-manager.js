@@ -0,0 +1,117 @@
+'use strict';
+
+let crypto = require('crypto');
+let _ = require('lodash');
+let KindaObject = require('kinda-object');
+let CollectionTokenStore = require('./collection-token-store');
+
+let DEFAULT_DURATION = 24 * 60 * 60 * 1000; // 1 day
+
+// Issues signed tokens ('<payload>.<signature>', both base64url encoded)
+// which expire after a while. Tokens are also saved in a store so they can
+// be revoked before they expire.
+
+let TokenManager = KindaObject.extend('TokenManager', function() {
+  // Options:
+  //   secret: key used to sign the tokens (required).
+  //   duration: lifetime of a token in ms. Default: 1 day.
+  //   store: where the tokens are kept. Default: the 'collectionName'
+  //     collection of the server repository.
+  //     {
+  //       async put(token) {}, // token: { id, value, expiresAt }
+  //       async get(id) {}, // returns the token or undefined
+  //       async delete(id) {}
+  //     }
+  //   collectionName: collection used by the default store. Default: 'Tokens'.
+  this.creator = function(repository, options = {}) {
+    if (!options.secret) throw new Error('token manager secret is missing');
+    this.secret = options.secret;
+    this.duration = options.duration || DEFAULT_DURATION;
+    this.collectionName = options.collectionName || 'Tokens';
+    this.store = options.store || CollectionTokenStore.create(repository, this.collectionName);
+  };
+
+  // Returns a new token associated to 'value' (typically the result
+  // of the signInWithCredentialsHandler)
+  this.issueToken = async function(value) {
+    let id = crypto.randomBytes(16).toString('hex');
+    let expiresAt = new Date(Date.now() + this.duration);
+    await this.store.put({ id, value, expiresAt });
+    let payload = encodeBase64URL(JSON.stringify({ id, exp: expiresAt.getTime() }));
+    return payload + '.' + this.sign(payload);
+  };
+
+  // Returns the stored token ({ id, value, expiresAt }) if 'token' is
+  // correctly signed, not expired and not revoked
+  this.verifyToken = async function(token) {
+    let payload = this.parseToken(token);
+    if (!payload) return undefined;
+    if (payload.exp <= Date.now()) return undefined;
+    let storedToken = await this.store.get(payload.id);
+    if (!storedToken) return undefined;
+    if (new Date(storedToken.expiresAt).getTime() <= Date.now()) return undefined;
+    return storedToken;
+  };
+
+  // Replaces a valid token by a new one (with the same value)
+  this.refreshToken = async function(token) {
+    let storedToken = await this.verifyToken(token);
+    if (!storedToken) return undefined;
+    let newToken = await this.issueToken(storedToken.value);
+    await this.store.delete(storedToken.id);
+    return newToken;
+  };
+
+  this.revokeToken = async function(token) {
+    let payload = this.parseToken(token);
+    if (!payload) return;
+    await this.store.delete(payload.id);
+  };
+
+  // Returns the payload of a correctly signed token
+  this.parseToken = function(token) {
+    if (typeof token !== 'string') return undefined;
+    let parts = token.split('.');
+    if (parts.length !== 2) return undefined;
+    if (!isEqualInConstantTime(this.sign(parts[0]), parts[1])) return undefined;
+    let payload;
+    try {
+      payload = JSON.parse(decodeBase64URL(parts[0]));
+    } catch (err) {
+      return undefined;
+    }
+    if (!_.isPlainObject(payload) || !payload.id || !payload.exp) return undefined;
+    return payload;
+  };
+
+  this.sign = function(payload) {
+    let hmac = crypto.createHmac('sha256', this.secret);
+    hmac.update(payload);
+    return toBase64URL(hmac.digest('base64'));
+  };
+});
+
+// Compares two strings without leaking where they differ
+let isEqualInConstantTime = function(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+let toBase64URL = function(str) {
+  return str.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+let encodeBase64URL = function(str) {
+  return toBase64URL(new Buffer(str).toString('base64'));
+};
+
+let decodeBase64URL = function(str) {
+  str = str.replace(/-/g, '+').replace(/_/g, '/');
+  return new Buffer(str, 'base64').toString();
+};
+
+module.exports = TokenManager;
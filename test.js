@@ -16,7 +16,7 @@ let util = require('kinda-util').create();
 let KindaRepositoryServer = require('./src');
 
 suite('KindaRepositoryServer', function() {
-  let users, httpServer, serverURL;
+  let users, httpServer, serverURL, secureRepositoryServer, secureServerURL, attachmentsDirectory;
 
   suiteSetup(async function() {
     let serverPort = 8888;
@@ -27,6 +27,8 @@ suite('KindaRepositoryServer', function() {
         this.addPrimaryKeyProperty('id', String);
         this.addProperty('firstName', String);
         this.addProperty('age', Number);
+        this.addProperty('ownerId', String);
+        this.addIndex(['ownerId']);
 
         this.get = async function() {
           return this.serialize();
@@ -59,10 +61,48 @@ suite('KindaRepositoryServer', function() {
       });
     });
 
+    let Tokens = Collection.extend('Tokens', function() {
+      this.Item = this.Item.extend('Token', function() {
+        this.addPrimaryKeyProperty('id', String);
+        this.addProperty('value', Object);
+        this.addProperty('expiresAt', Date);
+      });
+    });
+
+    let AuditEntries = Collection.extend('AuditEntries', function() {
+      this.Item = this.Item.extend('AuditEntry', function() {
+        this.addPrimaryKeyProperty('id', String);
+        this.addProperty('date', Date);
+        this.addProperty('requestId', String);
+        this.addProperty('identity', Object);
+        this.addProperty('collectionSlug', String);
+        this.addProperty('itemId', String);
+        this.addProperty('type', String);
+        this.addProperty('method', String);
+        this.addProperty('diff', Object);
+        this.addProperty('details', Object);
+      });
+    });
+
     let repository = KindaLocalRepository.create({
       name: 'Test',
       url: 'mysql://test@localhost/test',
-      collections: [Users, Superusers]
+      collections: [Users, Superusers, Tokens, AuditEntries]
+    });
+
+    // an older version of the API where the users have a 'name'
+    let LegacyUsers = Collection.extend('Users', function() {
+      this.Item = this.Item.extend('User', function() {
+        this.addPrimaryKeyProperty('id', String);
+        this.addProperty('name', String);
+        this.addProperty('age', Number);
+      });
+    });
+
+    let legacyRepository = KindaLocalRepository.create({
+      name: 'Test',
+      url: 'mysql://test@localhost/test',
+      collections: [LegacyUsers]
     });
 
     let repositoryServer = KindaRepositoryServer.create({
@@ -82,18 +122,52 @@ suite('KindaRepositoryServer', function() {
       async verifyAuthorizationHandler(request) {
         return request.authorization === 'secret-token';
       },
+      errorMapper(err) {
+        if (err.message === 'conflict detected') {
+          return { status: 409, code: 'conflict', message: err.message };
+        }
+      },
+      graphQL: true,
+      versions: {
+        legacy: {
+          remoteRepository: legacyRepository,
+          collections: {
+            Users: {
+              transformers: {
+                toRemoteValue(value) {
+                  return _.assign({ name: value.firstName }, _.omit(value, 'firstName'));
+                },
+                toServerValue(value) {
+                  return _.assign({ firstName: value.name }, _.omit(value, 'name'));
+                }
+              }
+            }
+          }
+        }
+      },
       collections: {
         Users: {
+          maxPageSize: 3,
+          streaming: true,
           collectionMethods: {
             countRetired: true,
             async echo(request) {
               return {
                 body: await request.collection.echo(request.body)
               };
+            },
+            async detectConflict() {
+              throw new Error('conflict detected');
+            },
+            async crash() {
+              throw new Error('boom');
             }
           },
           itemMethods: {
             get: true,
+            async exists(request) {
+              return { body: Boolean(request.item) };
+            },
             async generateReport(request) {
               let path = await request.item.generateReport();
               let stream = fs.createReadStream(path);
@@ -107,6 +181,13 @@ suite('KindaRepositoryServer', function() {
               };
             }
           },
+          validators: [
+            async function(request) {
+              if (request.value.age < 0) {
+                return [{ path: 'age', code: 'negativeAge', message: 'should be positive' }];
+              }
+            }
+          ],
           eventListeners: {
             async willPutItem(request) {
               if (request.item.firstName === 'Bobby') {
@@ -114,15 +195,72 @@ suite('KindaRepositoryServer', function() {
               }
             }
           }
+        },
+        Superusers: {
+          rateLimits: {
+            countItems: { max: 2, duration: 60 * 1000 }
+          },
+          cache: {
+            '*': { duration: 60 * 1000 }
+          }
+        }
+      }
+    });
+
+    attachmentsDirectory = nodePath.join(os.tmpdir(), 'kinda-repository-server-attachments');
+    secureRepositoryServer = KindaRepositoryServer.create({
+      repository,
+      async signInWithCredentialsHandler(credentials) {
+        if (!credentials || credentials.password !== 'password') return undefined;
+        return { username: credentials.username };
+      },
+      async authorizeHandler(request) {
+        if (request.method === 'getAuditLog') {
+          return request.verifyAuthorizationResult.username === 'admin';
+        }
+        return Boolean(request.verifyAuthorizationResult);
+      },
+      tokenManager: { secret: 'a-long-random-string' },
+      authorizationCookie: 'session',
+      audit: {},
+      metrics: {},
+      attachments: { directory: attachmentsDirectory, maxSize: 1024 },
+      collections: {
+        Users: {
+          async scopeHandler(request) {
+            return { ownerId: request.verifyAuthorizationResult.username };
+          },
+          eventListeners: {
+            async willPutItem(request) {
+              if (!request.item.ownerId) {
+                request.item.ownerId = request.verifyAuthorizationResult.username;
+              }
+            }
+          }
+        },
+        Superusers: {
+          scopeHandler: null, // not inherited from Users
+          fieldPermissions: {
+            superpower: {
+              async read(request) {
+                return request.verifyAuthorizationResult.username === 'admin';
+              },
+              async write(request) {
+                return request.verifyAuthorizationResult.username === 'admin';
+              }
+            }
+          }
         }
       }
     });
 
     let server = koa();
     server.use(repositoryServer.getMiddleware(serverPrefix));
+    server.use(secureRepositoryServer.getMiddleware('/secure'));
     httpServer = http.createServer(server.callback());
     httpServer.listen(serverPort);
     serverURL = 'http://localhost:' + serverPort + serverPrefix;
+    secureServerURL = 'http://localhost:' + serverPort + '/secure';
 
     users = repository.createCollection('Users');
   });
@@ -174,6 +312,547 @@ suite('KindaRepositoryServer', function() {
     assert.strictEqual(res.statusCode, 204);
   });
 
+  test('use the token manager', async function() {
+    let url = secureServerURL + '/authorizations';
+    let credentials = { username: 'mvila@3base.com', password: 'password' };
+    let res = await httpClient.request({ method: 'POST', url, body: credentials });
+    assert.strictEqual(res.statusCode, 201);
+    let token = res.body;
+    assert.match(token, /^[\w-]+\.[\w-]+$/);
+
+    let getUsers = async function(authorization) {
+      let params = { method: 'GET', url: secureServerURL + '/users' };
+      writeAuthorization(params, authorization);
+      return await httpClient.request(params);
+    };
+
+    res = await getUsers(token);
+    assert.strictEqual(res.statusCode, 200);
+    res = await getUsers(token.slice(0, -1) + (_.endsWith(token, 'a') ? 'b' : 'a'));
+    assert.strictEqual(res.statusCode, 403);
+
+    // tokens are not exposed
+    let params = { method: 'GET', url: secureServerURL + '/tokens' };
+    writeAuthorization(params, token);
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await httpClient.get(secureServerURL + '/authorizations/' + token);
+    assert.strictEqual(res.statusCode, 204);
+
+    url = secureServerURL + '/authorizations/' + token + '/refresh';
+    res = await httpClient.request({ method: 'POST', url });
+    assert.strictEqual(res.statusCode, 201);
+    let newToken = res.body;
+    assert.notEqual(newToken, token);
+    res = await getUsers(token);
+    assert.strictEqual(res.statusCode, 403);
+    res = await getUsers(newToken);
+    assert.strictEqual(res.statusCode, 200);
+
+    res = await httpClient.del(secureServerURL + '/authorizations/' + newToken);
+    assert.strictEqual(res.statusCode, 204);
+    res = await getUsers(newToken);
+    assert.strictEqual(res.statusCode, 403);
+    res = await httpClient.get(secureServerURL + '/authorizations/' + newToken);
+    assert.strictEqual(res.statusCode, 403);
+  });
+
+  test('read the authorization from a header or a cookie', async function() {
+    let params = { method: 'GET', url: serverURL + '/users' };
+    params.headers = { authorization: 'Bearer secret-token' };
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+
+    // the header has precedence over the query
+    params = { method: 'GET', url: serverURL + '/users' };
+    params.headers = { authorization: 'Bearer wrong-token' };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+
+    let url = secureServerURL + '/authorizations';
+    let credentials = { username: 'mvila@3base.com', password: 'password' };
+    res = await httpClient.request({ method: 'POST', url, body: credentials });
+    assert.strictEqual(res.statusCode, 201);
+    let cookies = {};
+    res.headers['set-cookie'].forEach(cookie => {
+      let pair = cookie.split(';')[0];
+      let index = pair.indexOf('=');
+      cookies[pair.slice(0, index)] = pair.slice(index + 1);
+    });
+    assert.strictEqual(cookies.session, res.body);
+    assert.ok(cookies['csrf-token']);
+    let cookie = 'session=' + cookies.session + '; csrf-token=' + cookies['csrf-token'];
+
+    params = { method: 'GET', url: secureServerURL + '/users', headers: { cookie } };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+
+    url = secureServerURL + '/users';
+    let body = { firstName: 'Cookie', age: 7 };
+    params = { method: 'POST', url, body, headers: { cookie } };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'csrfTokenMismatch');
+
+    params.headers['x-csrf-token'] = cookies['csrf-token'];
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+
+    url = secureServerURL + '/users/' + res.body.value.id;
+    params = { method: 'DELETE', url, headers: { cookie, 'x-csrf-token': cookies['csrf-token'] } };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('restrict the access to some fields', async function() {
+    let signIn = async function(username) {
+      let url = secureServerURL + '/authorizations';
+      let credentials = { username, password: 'password' };
+      let res = await httpClient.request({ method: 'POST', url, body: credentials });
+      return res.body;
+    };
+    let adminToken = await signIn('admin');
+    let userToken = await signIn('mvila@3base.com');
+
+    let request = async function(method, path, authorization, body) {
+      let params = { method, url: secureServerURL + '/superusers' + path, body };
+      writeAuthorization(params, authorization);
+      return await httpClient.request(params);
+    };
+
+    let res = await request('POST', '', adminToken, { firstName: 'Clark', superpower: 'flight' });
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.value.superpower, 'flight');
+    let id = res.body.value.id;
+
+    res = await request('GET', '/' + id, userToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.value.firstName, 'Clark');
+    assert.isUndefined(res.body.value.superpower);
+
+    res = await request('GET', '', userToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(_.find(res.body, { value: { id } }).value.superpower);
+
+    // omitted fields are kept
+    res = await request('PUT', '/' + id, userToken, { id, firstName: 'Clark Kent' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(res.body.value.superpower);
+    res = await request('GET', '/' + id, adminToken);
+    assert.strictEqual(res.body.value.firstName, 'Clark Kent');
+    assert.strictEqual(res.body.value.superpower, 'flight');
+
+    res = await request('PUT', '/' + id, userToken, { id, firstName: 'Clark', superpower: 'none' });
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'fieldWriteForbidden');
+    assert.deepEqual(res.body.details.fields, ['superpower']);
+
+    res = await request('PATCH', '/' + id, userToken, { superpower: 'none' });
+    assert.strictEqual(res.statusCode, 403);
+
+    res = await request('PATCH', '/' + id, userToken, [{ op: 'test', path: '/superpower', value: 'flight' }]);
+    assert.strictEqual(res.statusCode, 422);
+
+    res = await request('POST', '', userToken, { firstName: 'Bruce', superpower: 'money' });
+    assert.strictEqual(res.statusCode, 403);
+
+    res = await request('PATCH', '/' + id, adminToken, { superpower: 'strength' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.value.superpower, 'strength');
+
+    res = await request('DELETE', '/' + id, adminToken);
+    assert.strictEqual(res.statusCode, 200);
+
+    // the rules follow the class of the items read through a parent collection
+    res = await request('POST', '', userToken, { firstName: 'Diana' });
+    assert.strictEqual(res.statusCode, 201);
+    id = res.body.value.id;
+    res = await request('PATCH', '/' + id, adminToken, { superpower: 'strength' });
+    assert.strictEqual(res.statusCode, 200);
+    let usersRequest = async function(method, path, authorization, body) {
+      let params = { method, url: secureServerURL + '/users' + path, body };
+      writeAuthorization(params, authorization);
+      return await httpClient.request(params);
+    };
+    res = await usersRequest('GET', '/' + id, userToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.class, 'Superuser');
+    assert.isUndefined(res.body.value.superpower);
+    // the ETags don't reveal the changes of the unreadable fields
+    let etag = res.headers.etag;
+    res = await request('PATCH', '/' + id, adminToken, { superpower: 'speed' });
+    assert.strictEqual(res.statusCode, 200);
+    res = await usersRequest('GET', '/' + id, userToken);
+    assert.strictEqual(res.headers.etag, etag);
+    let params = { method: 'PUT', url: secureServerURL + '/users/' + id, headers: { 'If-Match': etag }, body: res.body.value };
+    writeAuthorization(params, userToken);
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('PATCH', '/' + id, adminToken, { superpower: 'strength' });
+    assert.strictEqual(res.statusCode, 200);
+    res = await usersRequest('GET', '', userToken);
+    assert.isUndefined(_.find(res.body, { value: { id } }).value.superpower);
+    res = await usersRequest('PATCH', '/' + id, userToken, { superpower: 'none' });
+    assert.strictEqual(res.statusCode, 403);
+    res = await usersRequest('PATCH', '/' + id, userToken, [{ op: 'test', path: '/superpower', value: 'strength' }]);
+    assert.strictEqual(res.statusCode, 422);
+    res = await usersRequest('PATCH', '/' + id, userToken, { firstName: 'Diana Prince' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(res.body.value.superpower);
+    res = await request('GET', '/' + id, adminToken);
+    assert.strictEqual(res.body.value.firstName, 'Diana Prince');
+    assert.strictEqual(res.body.value.superpower, 'strength');
+
+    res = await request('DELETE', '/' + id, adminToken);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('restrict the access to the items in scope', async function() {
+    let signIn = async function(username) {
+      let url = secureServerURL + '/authorizations';
+      let credentials = { username, password: 'password' };
+      let res = await httpClient.request({ method: 'POST', url, body: credentials });
+      return res.body;
+    };
+    let aliceToken = await signIn('alice');
+    let bobToken = await signIn('bob');
+
+    let request = async function(method, path, authorization, body) {
+      let params = { method, url: secureServerURL + '/users' + path, body };
+      writeAuthorization(params, authorization);
+      return await httpClient.request(params);
+    };
+
+    let res = await request('POST', '', aliceToken, { firstName: 'Alice' });
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.value.ownerId, 'alice');
+    let id = res.body.value.id;
+
+    res = await request('GET', '/' + id, bobToken);
+    assert.strictEqual(res.statusCode, 404);
+    res = await request('PUT', '/' + id, bobToken, { id, firstName: 'Bob' });
+    assert.strictEqual(res.statusCode, 404);
+    res = await request('DELETE', '/' + id, bobToken);
+    assert.strictEqual(res.statusCode, 404);
+
+    res = await request('GET', '', bobToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(_.find(res.body, { value: { id } }));
+    res = await request('GET', '/count', aliceToken);
+    assert.strictEqual(res.body, 1);
+    // the scope can't be overridden
+    res = await request('GET', '/count?query[ownerId]=alice', bobToken);
+    assert.strictEqual(res.body, 0);
+    res = await request('DELETE', '', bobToken);
+    assert.strictEqual(res.body, 0);
+
+    res = await request('POST', '', bobToken, { firstName: 'Bob', ownerId: 'alice' });
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'outOfScope');
+    res = await request('PUT', '/' + id, aliceToken, { id, firstName: 'Alice', ownerId: 'bob' });
+    assert.strictEqual(res.statusCode, 403);
+
+    res = await request('DELETE', '/' + id, aliceToken);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('call hooks around the handlers', async function() {
+    let url = secureServerURL + '/authorizations';
+    let res = await httpClient.request({ method: 'POST', url, body: { username: 'alice', password: 'password' } });
+    let token = res.body;
+
+    let request = async function(method, path, body) {
+      let params = { method, url: secureServerURL + '/users' + path, body };
+      writeAuthorization(params, token);
+      return await httpClient.request(params);
+    };
+
+    let calls = [];
+    let registeredUsers = secureRepositoryServer.registeredCollections.users;
+    let hooks = [
+      [secureRepositoryServer, 'before', '*', async function(req) {
+        calls.push('server:before:' + req.method);
+      }],
+      [registeredUsers, 'before', 'getItem', async function() {
+        calls.push('users:before');
+      }],
+      [secureRepositoryServer, 'after', 'getItem', async function(req) {
+        calls.push('server:after:' + req.verifyAuthorizationResult.username);
+      }],
+      [registeredUsers, 'after', 'getItem', async function(req) {
+        calls.push('users:after');
+        req.result = _.assign({ hooked: true }, req.result);
+      }],
+      [registeredUsers, 'error', 'getItem', async function(req) {
+        calls.push('users:error');
+        if (req.error.code === 'itemNotFound') {
+          req.error = undefined;
+          req.result = { missing: true };
+        }
+      }]
+    ];
+    hooks.forEach(([target, ...args]) => target.addHook(...args));
+    try {
+      res = await request('POST', '', { firstName: 'Alice' });
+      assert.strictEqual(res.statusCode, 201);
+      let id = res.body.value.id;
+      assert.deepEqual(calls, ['server:before:postItem']);
+
+      calls = [];
+      res = await request('GET', '/' + id);
+      assert.strictEqual(res.statusCode, 200);
+      assert.isTrue(res.body.hooked);
+      assert.strictEqual(res.body.value.firstName, 'Alice');
+      assert.deepEqual(calls, [
+        'server:before:getItem', 'users:before', 'server:after:alice', 'users:after'
+      ]);
+
+      calls = [];
+      res = await request('GET', '/unknown');
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepEqual(res.body, { missing: true });
+      assert.deepEqual(calls, ['server:before:getItem', 'users:before', 'users:error']);
+
+      res = await request('DELETE', '/' + id);
+      assert.strictEqual(res.statusCode, 200);
+    } finally {
+      hooks.forEach(([target, ...args]) => target.removeHook(...args));
+    }
+  });
+
+  test('record the changes in the audit log', async function() {
+    let signIn = async function(username) {
+      let url = secureServerURL + '/authorizations';
+      let res = await httpClient.request({ method: 'POST', url, body: { username, password: 'password' } });
+      return res.body;
+    };
+    let token = await signIn('alice');
+    let adminToken = await signIn('admin');
+
+    let request = async function(method, path, body, authorization = token) {
+      let params = { method, url: secureServerURL + path, body };
+      writeAuthorization(params, authorization);
+      return await httpClient.request(params);
+    };
+
+    let res = await request('POST', '/users', { firstName: 'Alice' });
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+    let requestId = res.headers['x-request-id'];
+    assert.ok(requestId);
+    res = await request('PATCH', '/users/' + id, { firstName: 'Alicia' });
+    assert.strictEqual(res.statusCode, 200);
+    // rolled back changes are not recorded
+    res = await request('POST', '/users/batch', [
+      { type: 'put', id, value: { id, firstName: 'Ali' } },
+      { type: 'delete', id: 'xyz' }
+    ]);
+    assert.strictEqual(res.statusCode, 404);
+    res = await request('DELETE', '/users/' + id);
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('POST', '/superusers', { firstName: 'Clark', superpower: 'flight' }, adminToken);
+    assert.strictEqual(res.statusCode, 201);
+    let superuserId = res.body.value.id;
+    res = await request('DELETE', '/superusers/' + superuserId, undefined, adminToken);
+    assert.strictEqual(res.statusCode, 200);
+
+    // only the clients allowed by the authorizeHandler can read the log
+    res = await request('GET', '/audit-log');
+    assert.strictEqual(res.statusCode, 403);
+    res = await request('GET', '/audit-log', undefined, adminToken);
+    assert.strictEqual(res.statusCode, 200);
+    let entries = _.filter(res.body, { itemId: id });
+    assert.deepEqual(_.pluck(entries, 'type'), ['put', 'put', 'delete']);
+    assert.deepEqual(_.pluck(entries, 'method'), ['postItem', 'patchItem', 'deleteItem']);
+    assert.strictEqual(entries[0].requestId, requestId);
+    assert.deepEqual(entries[0].identity, { username: 'alice' });
+    assert.strictEqual(entries[0].collectionSlug, 'users');
+    assert.deepEqual(entries[0].diff.firstName, { after: 'Alice' });
+    assert.deepEqual(entries[1].diff, { firstName: { before: 'Alice', after: 'Alicia' } });
+    assert.deepEqual(entries[2].diff.firstName, { before: 'Alicia' });
+    // the fields having a read rule are not recorded
+    entries = _.filter(res.body, { itemId: superuserId });
+    assert.strictEqual(entries.length, 2);
+    assert.deepEqual(entries[0].diff.firstName, { after: 'Clark' });
+    assert.isUndefined(entries[0].diff.superpower);
+    assert.isUndefined(entries[1].diff.superpower);
+
+    // audit entries are not exposed as a collection
+    res = await request('GET', '/audit-entries');
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  test('attach files to items', async function() {
+    let signIn = async function(username) {
+      let url = secureServerURL + '/authorizations';
+      let res = await httpClient.request({ method: 'POST', url, body: { username, password: 'password' } });
+      return res.body;
+    };
+    let aliceToken = await signIn('alice');
+    let bobToken = await signIn('bob');
+
+    let params = { method: 'POST', url: secureServerURL + '/users', body: { firstName: 'Alice' } };
+    writeAuthorization(params, aliceToken);
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+    let url = secureServerURL + '/users/' + id + '/attachments/';
+
+    let request = async function(method, name, token, body, headers) {
+      let requestParams = { method, url: url + name, body, headers };
+      writeAuthorization(requestParams, token);
+      return await requestRaw(requestParams);
+    };
+
+    res = await request('PUT', 'notes.txt', aliceToken, 'Hello, World!', { 'content-type': 'text/plain' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body.toString()), {
+      contentType: 'text/plain', fileName: 'notes.txt', size: 13
+    });
+    res = await request('GET', 'notes.txt', aliceToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/plain; charset=utf-8');
+    assert.strictEqual(res.headers['content-disposition'], 'inline; filename="notes.txt"');
+    assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+    assert.strictEqual(res.body.toString(), 'Hello, World!');
+
+    // the types which could run scripts are downloaded
+    res = await request('PUT', 'page.html', aliceToken, '<script></script>', { 'content-type': 'text/html' });
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('GET', 'page.html', aliceToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['content-disposition'], 'attachment; filename="page.html"');
+    assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+
+    // the 'willPutAttachment' listeners can veto the changes
+    let registeredUsers = secureRepositoryServer.registeredCollections.users;
+    let veto = async function(request) {
+      if (request.name !== 'virus.exe') return;
+      let err = new Error('forbidden file type');
+      err.status = 403;
+      err.expose = true;
+      err.code = 'forbiddenFileType';
+      throw err;
+    };
+    registeredUsers.on('willPutAttachment', veto);
+    res = await request('PUT', 'virus.exe', aliceToken, 'MZ');
+    registeredUsers.off('willPutAttachment', veto);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(JSON.parse(res.body.toString()).code, 'forbiddenFileType');
+    res = await request('GET', 'virus.exe', aliceToken);
+    assert.strictEqual(res.statusCode, 404);
+
+    let boundary = 'xYzZY';
+    let body = new Buffer([
+      '--' + boundary,
+      'Content-Disposition: form-data; name="file"; filename="photo.png"',
+      'Content-Type: image/png',
+      '',
+      '\u0089PNG',
+      '--' + boundary + '--',
+      ''
+    ].join('\r\n'));
+    res = await request('PUT', 'photo', aliceToken, body, {
+      'content-type': 'multipart/form-data; boundary=' + boundary
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body.toString()), {
+      contentType: 'image/png', fileName: 'photo.png', size: 5
+    });
+
+    // attachments are covered by the authorization of the item
+    res = await request('GET', 'photo', bobToken);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(JSON.parse(res.body.toString()).code, 'itemNotFound');
+
+    res = await request('PUT', 'big', aliceToken, new Buffer(2000));
+    assert.strictEqual(res.statusCode, 413);
+    assert.strictEqual(JSON.parse(res.body.toString()).code, 'attachmentTooLarge');
+
+    res = await request('PUT', '.hidden', aliceToken, 'secret');
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(JSON.parse(res.body.toString()).code, 'invalidAttachmentName');
+
+    res = await request('DELETE', 'notes.txt', aliceToken);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.toString(), 'true');
+    res = await request('GET', 'notes.txt', aliceToken);
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(JSON.parse(res.body.toString()).code, 'attachmentNotFound');
+
+    // deleting the item deletes its attachments
+    let itemDirectory = nodePath.join(attachmentsDirectory, 'users', id);
+    assert.ok(fs.existsSync(itemDirectory));
+    params = { method: 'DELETE', url: secureServerURL + '/users/' + id };
+    writeAuthorization(params, aliceToken);
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.notOk(fs.existsSync(itemDirectory));
+
+    // the attachment changes are recorded without saving the item
+    params = { method: 'GET', url: secureServerURL + '/audit-log' };
+    writeAuthorization(params, await signIn('admin'));
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    let entries = _.filter(res.body, { itemId: id });
+    assert.deepEqual(_.pluck(entries, 'type'), [
+      'put', 'putAttachment', 'putAttachment', 'putAttachment', 'deleteAttachment', 'delete'
+    ]);
+    assert.deepEqual(entries[1].details, { name: 'notes.txt', contentType: 'text/plain', size: 13 });
+  });
+
+  test('collect request metrics', async function() {
+    let url = secureServerURL + '/authorizations';
+    let credentials = { username: 'alice', password: 'password' };
+    let res = await httpClient.request({ method: 'POST', url, body: credentials });
+    let token = res.body;
+
+    let timings = [];
+    let listener = timing => timings.push(timing);
+    secureRepositoryServer.on('didHandleRequest', listener);
+    try {
+      let params = { method: 'GET', url: secureServerURL + '/users' };
+      writeAuthorization(params, token);
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      params = { method: 'GET', url: secureServerURL + '/users/xyz' };
+      writeAuthorization(params, token);
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 404);
+    } finally {
+      secureRepositoryServer.off('didHandleRequest', listener);
+    }
+    assert.strictEqual(timings.length, 2);
+    assert.strictEqual(timings[0].collection, 'users');
+    assert.strictEqual(timings[0].method, 'findItems');
+    assert.strictEqual(timings[0].httpMethod, 'GET');
+    assert.strictEqual(timings[0].status, 200);
+    assert.ok(timings[0].duration >= 0);
+    assert.ok(timings[0].requestId);
+    assert.strictEqual(timings[1].method, 'getItem');
+    assert.strictEqual(timings[1].status, 404);
+
+    let params = { method: 'GET', url: secureServerURL + '/metrics' };
+    writeAuthorization(params, token);
+    res = await requestRaw(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    let text = res.body.toString();
+    let labels = '{collection="users",method="getItem"}';
+    assert.include(text, '# TYPE kinda_repository_server_requests_total counter\n');
+    assert.match(text, new RegExp('\nkinda_repository_server_requests_total' + _.escapeRegExp(labels) + ' [1-9]'));
+    assert.match(text, new RegExp('\nkinda_repository_server_request_errors_total' + _.escapeRegExp(labels) + ' [1-9]'));
+    assert.include(text, 'kinda_repository_server_request_duration_seconds_bucket{collection="users",method="findItems",le="+Inf"}');
+
+    // the main server doesn't collect metrics
+    params = { method: 'GET', url: serverURL + '/metrics' };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
   test('get repository id', async function() {
     let url = serverURL;
     let params = { method: 'GET', url };
@@ -183,6 +862,99 @@ suite('KindaRepositoryServer', function() {
     assert.ok(res.body.repositoryId);
   });
 
+  test('check the health of the repository', async function() {
+    let url = serverURL + '/health';
+    let res = await httpClient.request({ method: 'GET', url });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.status, 'ok');
+    assert.includeMembers(_.keys(res.body.dependencies), ['repository', 'users', 'superusers']);
+    assert.strictEqual(res.body.dependencies.repository.status, 'ok');
+    assert.strictEqual(res.body.dependencies.users.status, 'ok');
+
+    let repository = users.repository;
+    repository.getRepositoryId = async function() {
+      throw new Error('connection lost');
+    };
+    try {
+      res = await httpClient.request({ method: 'GET', url });
+    } finally {
+      delete repository.getRepositoryId;
+    }
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.body.status, 'degraded');
+    assert.deepEqual(_.omit(res.body.dependencies.repository, 'duration'), {
+      status: 'failed', error: 'unreachable'
+    });
+    assert.strictEqual(res.body.dependencies.users.status, 'ok');
+  });
+
+  test('serve several API versions', async function() {
+    let request = async function(method, path, body, headers) {
+      let params = { method, url: serverURL + path, body, headers };
+      writeAuthorization(params, 'secret-token');
+      return await httpClient.request(params);
+    };
+
+    // selected by path
+    let res = await request('POST', '/legacy/users', { name: 'Jean', age: 30 });
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepEqual(_.omit(res.body.value, 'id'), { name: 'Jean', age: 30 });
+    let id = res.body.value.id;
+
+    res = await request('GET', '/users/' + id);
+    assert.strictEqual(res.body.value.firstName, 'Jean');
+
+    // selected by header
+    res = await request('GET', '/users/' + id, undefined, { 'Accept-Version': 'legacy' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.value.name, 'Jean');
+    assert.isUndefined(res.body.value.firstName);
+    assert.include(res.headers.vary, 'Accept-Version');
+
+    res = await request('PUT', '/legacy/users/' + id, { id, name: 'Jean-Pierre', age: 31 });
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('GET', '/users/' + id);
+    assert.strictEqual(res.body.value.firstName, 'Jean-Pierre');
+    assert.strictEqual(res.body.value.age, 31);
+
+    res = await request('GET', '/legacy/openapi.json');
+    assert.strictEqual(res.body.info.version, 'legacy');
+    assert.ok(res.body.components.schemas.User.properties.name);
+    assert.isUndefined(res.body.components.schemas.Superuser);
+
+    res = await request('GET', '/users/' + id, undefined, { 'Accept-Version': 'v0' });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.code, 'unknownVersion');
+
+    // the requests of the downstream middleware are not affected
+    res = await request('GET', '/unknown', undefined, { 'Accept-Version': 'v0' });
+    assert.strictEqual(res.statusCode, 404);
+    assert.notInclude(res.headers.vary || '', 'Accept-Version');
+
+    res = await request('DELETE', '/legacy/users/' + id);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('get the OpenAPI document', async function() {
+    let url = serverURL + '/openapi.json';
+    let params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    let document = res.body;
+    assert.strictEqual(document.openapi, '3.0.0');
+    assert.deepEqual(document.servers, [{ url: '/v1' }]);
+    assert.ok(document.paths['/ping'].get);
+    assert.ok(document.paths['/users'].get);
+    assert.ok(document.paths['/superusers/{id}'].patch);
+    assert.ok(document.paths['/users/count-retired'].get);
+    assert.ok(document.paths['/users/{id}/generate-report'].get);
+    let schema = document.components.schemas.Superuser;
+    assert.deepEqual(schema.properties.age, { type: 'number' });
+    assert.deepEqual(schema.properties.superpower, { type: 'string' });
+    assert.strictEqual(schema['x-primary-key'], 'id');
+  });
+
   test('put, get and delete an item', async function() {
     let url = serverURL + '/superusers';
     let body = { firstName: 'Manu', age: 42, superpower: 'telepathy' };
@@ -252,20 +1024,261 @@ suite('KindaRepositoryServer', function() {
     assert.isUndefined(res.body);
   });
 
-  test('get a missing item', async function() {
-    let url = serverURL + '/users/xyz';
-    let params = { method: 'GET', url };
-    writeAuthorization(params, 'secret-token');
-    let res = await httpClient.request(params);
-    assert.strictEqual(res.statusCode, 404);
+  test('replay the requests having an idempotency key', async function() {
+    let request = async function(method, path, body, key, token = 'secret-token') {
+      let params = { method, url: serverURL + path, body, headers: { 'Idempotency-Key': key } };
+      writeAuthorization(params, token);
+      return await httpClient.request(params);
+    };
 
-    let options = { errorIfMissing: false };
-    let query = querystring.stringify(util.encodeValue(options));
-    url = serverURL + '/users/xyz?' + query;
-    params = { method: 'GET', url };
-    writeAuthorization(params, 'secret-token');
-    res = await httpClient.request(params);
-    assert.strictEqual(res.statusCode, 204);
+    let body = { firstName: 'Manu', age: 42 };
+    let res = await request('POST', '/users', body, 'key-1');
+    assert.strictEqual(res.statusCode, 201);
+    assert.isUndefined(res.headers['idempotent-replayed']);
+    let id = res.body.value.id;
+    let etag = res.headers.etag;
+
+    // the item is not created again
+    res = await request('POST', '/users', body, 'key-1');
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.headers['idempotent-replayed'], 'true');
+    assert.strictEqual(res.body.value.id, id);
+    assert.strictEqual(res.headers.etag, etag);
+
+    res = await request('POST', '/users', { firstName: 'Manu', age: 43 }, 'key-1');
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.code, 'idempotencyKeyReused');
+
+    // custom methods too
+    res = await request('POST', '/users/echo', [body], 'key-2');
+    assert.strictEqual(res.statusCode, 201);
+    res = await request('POST', '/users/echo', [body], 'key-2');
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.headers['idempotent-replayed'], 'true');
+    assert.deepEqual(res.body, [body]);
+    res = await request('POST', '/users/echo?verbose=1', [body], 'key-2');
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.code, 'idempotencyKeyReused');
+
+    // concurrent retries don't run the handler twice
+    let results = await Promise.all([
+      request('POST', '/users', { firstName: 'Paul', age: 50 }, 'key-4'),
+      request('POST', '/users', { firstName: 'Paul', age: 50 }, 'key-4')
+    ]);
+    let createdIds = _.uniq(_.pluck(_.filter(results, { statusCode: 201 }), 'body.value.id'));
+    assert.strictEqual(createdIds.length, 1);
+    results.forEach(result => {
+      if (result.statusCode !== 201) assert.strictEqual(result.body.code, 'idempotentRequestInProgress');
+    });
+
+    // failed requests are not stored
+    res = await request('POST', '/users', body, 'key-3', 'another-token');
+    assert.strictEqual(res.statusCode, 403);
+    res = await request('POST', '/users', { firstName: 'Jean', age: 30 }, 'key-3');
+    assert.strictEqual(res.statusCode, 201);
+    assert.isUndefined(res.headers['idempotent-replayed']);
+    let otherId = res.body.value.id;
+    assert.notEqual(otherId, id);
+
+    await request('DELETE', '/users/' + id);
+    await request('DELETE', '/users/' + otherId);
+    await request('DELETE', '/users/' + createdIds[0]);
+
+    // the responses are not replayed to a revoked authorization
+    let signIn = async function() {
+      let url = secureServerURL + '/authorizations';
+      let signInRes = await httpClient.request({ method: 'POST', url, body: { username: 'alice', password: 'password' } });
+      return signInRes.body;
+    };
+    let token = await signIn();
+    let params = { method: 'POST', url: secureServerURL + '/users', body, headers: { 'Idempotency-Key': 'key-5' } };
+    writeAuthorization(params, token);
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+    let aliceId = res.body.value.id;
+    res = await httpClient.del(secureServerURL + '/authorizations/' + token);
+    assert.strictEqual(res.statusCode, 204);
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+    assert.isUndefined(res.headers['idempotent-replayed']);
+    params = { method: 'DELETE', url: secureServerURL + '/users/' + aliceId };
+    writeAuthorization(params, await signIn());
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('use conditional requests', async function() {
+    let url = serverURL + '/users';
+    let body = { firstName: 'Manu', age: 42 };
+    let params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+    let etag = res.headers.etag;
+    assert.ok(etag);
+
+    url = serverURL + '/users/' + id;
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers.etag, etag);
+
+    params = { method: 'GET', url, headers: { 'If-None-Match': etag } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 304);
+
+    body = { id, firstName: 'Manu', age: 43 };
+    params = { method: 'PUT', url, body, headers: { 'If-Match': etag } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    let newETag = res.headers.etag;
+    assert.ok(newETag);
+    assert.notEqual(newETag, etag);
+
+    body = { id, firstName: 'Manu', age: 44 };
+    params = { method: 'PUT', url, body, headers: { 'If-Match': etag } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 412);
+
+    params = { method: 'DELETE', url, headers: { 'If-Match': etag } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 412);
+
+    params = { method: 'DELETE', url, headers: { 'If-Match': newETag } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body, true);
+  });
+
+  test('patch an item', async function() {
+    let url = serverURL + '/users';
+    let body = { firstName: 'Manu', age: 42 };
+    let params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+
+    url = serverURL + '/users/' + id;
+    params = { method: 'PATCH', url, body: { age: 43 } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(res.body.value, { id, firstName: 'Manu', age: 43 });
+
+    params = { method: 'PATCH', url, body: { firstName: null } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(res.body.value, { id, age: 43 });
+
+    body = [
+      { op: 'add', path: '/firstName', value: 'Bobby' },
+      { op: 'replace', path: '/age', value: 44 }
+    ];
+    params = { method: 'PATCH', url, body };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(res.body.value, { id, firstName: 'Bob', age: 44 });
+
+    body = [
+      { op: 'test', path: '/age', value: 50 },
+      { op: 'replace', path: '/age', value: 51 }
+    ];
+    params = { method: 'PATCH', url, body };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+
+    // the patch is not applied before the client is authorized
+    params = { method: 'PATCH', url, body };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+
+    params = { method: 'PATCH', url, body: { id: 'xyz' } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepEqual(res.body.value, { id, firstName: 'Bob', age: 44 });
+
+    params = { method: 'DELETE', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+  });
+
+  test('validate item bodies', async function() {
+    let url = serverURL + '/users';
+    let body = { firstName: 'Manu', age: 'old', password: 'secret', constructor: 1 };
+    let params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.code, 'validationFailed');
+    assert.strictEqual(res.body.message, 'validation failed');
+    let errors = res.body.details.errors;
+    assert.deepEqual(_.pluck(errors, 'path'), ['age', 'password', 'constructor']);
+    assert.deepEqual(_.pluck(errors, 'code'), ['typeMismatch', 'unknownProperty', 'unknownProperty']);
+
+    body = { firstName: 'Manu', age: -3 };
+    params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+    errors = res.body.details.errors;
+    assert.deepEqual(errors, [{ path: 'age', code: 'negativeAge', message: 'should be positive' }]);
+
+    url = serverURL + '/users/abc';
+    body = { firstName: 'Manu', age: 42 };
+    params = { method: 'PUT', url, body };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.details.errors[0].code, 'missingPrimaryKey');
+
+    url = serverURL + '/users/batch';
+    body = [
+      { type: 'post', value: { firstName: 'Manu', age: 42 } },
+      { type: 'put', id: 'abc', value: { id: 'xyz', firstName: 'Manu' } }
+    ];
+    params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 422);
+    errors = res.body.details.errors;
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].path, '1.value.id');
+    assert.strictEqual(errors[0].code, 'primaryKeyMismatch');
+  });
+
+  test('get a missing item', async function() {
+    let url = serverURL + '/users/xyz';
+    let params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 404);
+    assert.deepEqual(res.body, { code: 'itemNotFound', message: 'item not found', status: 404 });
+
+    let options = { errorIfMissing: false };
+    let query = querystring.stringify(util.encodeValue(options));
+    url = serverURL + '/users/xyz?' + query;
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 204);
     assert.isUndefined(res.body);
   });
 
@@ -286,6 +1299,253 @@ suite('KindaRepositoryServer', function() {
     assert.strictEqual(res.body, false);
   });
 
+  test('serialize errors', async function() {
+    let url = serverURL + '/users/detect-conflict';
+    let params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepEqual(res.body, { code: 'conflict', message: 'conflict detected', status: 409 });
+
+    url = serverURL + '/users/crash';
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 500);
+    assert.deepEqual(res.body, { code: 'internalError', message: 'internal server error', status: 500 });
+
+    url = serverURL + '/users';
+    params = { method: 'GET', url };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'authorizationFailed');
+  });
+
+  test('limit the rate of requests', async function() {
+    let url = serverURL + '/superusers/count';
+    for (let remaining of [1, 0]) {
+      let params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      let res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['x-ratelimit-limit'], '2');
+      assert.strictEqual(res.headers['x-ratelimit-remaining'], String(remaining));
+    }
+
+    let params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.code, 'tooManyRequests');
+    assert.strictEqual(res.headers['x-ratelimit-remaining'], '0');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+
+    // other clients have their own counters
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'another-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.headers['x-ratelimit-remaining'], '1');
+
+    // but unverified authorizations are counted by IP address
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'yet-another-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.headers['x-ratelimit-remaining'], '0');
+
+    // other collections are not limited
+    url = serverURL + '/users/count';
+    params = { method: 'GET', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(res.headers['x-ratelimit-limit']);
+
+    // the operations of a batch count against the limits of their methods
+    url = secureServerURL + '/authorizations';
+    res = await httpClient.request({ method: 'POST', url, body: { username: 'alice', password: 'password' } });
+    let token = res.body;
+    let registeredUsers = secureRepositoryServer.registeredCollections.users;
+    registeredUsers.rateLimits = { postItem: { max: 2, duration: 60 * 1000 } };
+    try {
+      params = { method: 'POST', url: secureServerURL + '/users/batch', body: [
+        { type: 'post', value: { firstName: 'Alice' } },
+        { type: 'post', value: { firstName: 'Bob' } },
+        { type: 'post', value: { firstName: 'Chloe' } }
+      ] };
+      writeAuthorization(params, token);
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 429);
+      assert.strictEqual(res.headers['x-ratelimit-limit'], '2');
+    } finally {
+      registeredUsers.rateLimits = undefined;
+    }
+  });
+
+  test('cache the results of read requests', async function() {
+    let request = async function(method, path, body) {
+      let params = { method, url: serverURL + '/superusers' + path, body };
+      writeAuthorization(params, 'secret-token');
+      return await httpClient.request(params);
+    };
+
+    let res = await request('POST', '', { firstName: 'Clark', age: 35, superpower: 'flight' });
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+
+    res = await request('GET', '/' + id);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['x-cache'], 'MISS');
+    res = await request('GET', '/' + id);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['x-cache'], 'HIT');
+    assert.strictEqual(res.body.value.firstName, 'Clark');
+    assert.ok(res.headers.etag);
+
+    res = await request('GET', '');
+    assert.strictEqual(res.headers['x-cache'], 'MISS');
+    res = await request('GET', '');
+    assert.strictEqual(res.headers['x-cache'], 'HIT');
+    assert.deepEqual(_.pluck(res.body, 'value.id'), [id]);
+
+    // changes invalidate the cache
+    res = await request('PUT', '/' + id, { id, firstName: 'Clark', age: 36, superpower: 'flight' });
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('GET', '/' + id);
+    assert.strictEqual(res.headers['x-cache'], 'MISS');
+    assert.strictEqual(res.body.value.age, 36);
+
+    res = await request('DELETE', '/' + id);
+    assert.strictEqual(res.statusCode, 200);
+    res = await request('GET', '');
+    assert.strictEqual(res.headers['x-cache'], 'MISS');
+    assert.deepEqual(res.body, []);
+
+    // collections without the 'cache' option are not cached
+    let params = { method: 'GET', url: serverURL + '/users' };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.isUndefined(res.headers['x-cache']);
+  });
+
+  test('execute GraphQL requests', async function() {
+    let request = async function(query, variables, method = 'POST') {
+      let params = { method, url: serverURL + '/graphql' };
+      if (method === 'POST') {
+        params.body = { query, variables };
+      } else {
+        params.url += '?' + querystring.stringify({ query });
+      }
+      writeAuthorization(params, 'secret-token');
+      return await httpClient.request(params);
+    };
+
+    let res = await request(
+      'mutation($value: UserInput!) { postUser(value: $value) { id firstName } }',
+      { value: { firstName: 'Bobby', age: 61, ownerId: 'graphql' } }
+    );
+    assert.strictEqual(res.statusCode, 200);
+    assert.isUndefined(res.body.errors);
+    assert.strictEqual(res.body.data.postUser.firstName, 'Bob'); // the listeners are called
+    let id = res.body.data.postUser.id;
+
+    res = await request('{ user(id: "' + id + '") { _class firstName age get } }', undefined, 'GET');
+    assert.strictEqual(res.statusCode, 200);
+    let user = res.body.data.user;
+    assert.strictEqual(user._class, 'User');
+    assert.strictEqual(user.age, 61);
+    assert.strictEqual(user.get.firstName, 'Bob');
+
+    res = await request('{ users(query: { ownerId: "graphql" }) { items { id } } usersCount(query: { ownerId: "graphql" }) usersCountRetired missing: user(id: "xyz") { id } }');
+    assert.deepEqual(_.pluck(res.body.data.users.items, 'id'), [id]);
+    assert.strictEqual(res.body.data.usersCount, 1);
+    assert.ok(res.body.data.usersCountRetired >= 1);
+    assert.isNull(res.body.data.missing);
+
+    res = await request('mutation { usersEcho(body: { message: "hello" }) putUser(id: "' + id + '", value: { firstName: "Robert", age: 62 }) { firstName } }');
+    assert.deepEqual(res.body.data.usersEcho, { message: 'hello' });
+    assert.strictEqual(res.body.data.putUser.firstName, 'Robert');
+
+    // errors are serialized per field
+    res = await request('{ usersDetectConflict usersCrash }');
+    assert.strictEqual(res.statusCode, 200);
+    let errors = _.indexBy(res.body.errors, 'code');
+    assert.strictEqual(errors.conflict.status, 409);
+    assert.strictEqual(errors.internalError.message, 'internal server error');
+
+    let params = { method: 'GET', url: serverURL + '/graphql?query=' + encodeURIComponent('{ usersCount }') };
+    res = await httpClient.request(params);
+    assert.strictEqual(res.body.errors[0].code, 'authorizationFailed');
+
+    res = await request('mutation { deleteUser(id: "' + id + '") }', undefined, 'GET');
+    assert.strictEqual(res.statusCode, 405);
+    res = await request('{ unknownField }');
+    assert.strictEqual(res.statusCode, 400);
+
+    res = await request('mutation { deleteUser(id: "' + id + '") }');
+    assert.strictEqual(res.body.data.deleteUser, true);
+  });
+
+  test('inherit the options of the parent collection', async function() {
+    let request = async function(method, path, body) {
+      let params = { method, url: serverURL + '/superusers' + path, body };
+      writeAuthorization(params, 'secret-token');
+      return await httpClient.request(params);
+    };
+
+    // validators and event listeners of Users
+    let res = await request('POST', '', { firstName: 'Bobby', age: -1 });
+    assert.strictEqual(res.statusCode, 422);
+    res = await request('POST', '', { firstName: 'Bobby', age: 42, superpower: 'flight' });
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.value.firstName, 'Bob');
+    let id = res.body.value.id;
+
+    // custom methods of Users
+    res = await request('POST', '/echo', { message: 'hello' });
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepEqual(res.body, { message: 'hello' });
+    res = await request('GET', '/' + id + '/get');
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.superpower, 'flight');
+
+    // an item put through the collection of a parent class keeps its class
+    let params = { method: 'PUT', url: serverURL + '/users/' + id, body: { id, firstName: 'Bob', superpower: 'speed' } };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.class, 'Superuser');
+    assert.strictEqual(res.body.value.superpower, 'speed');
+
+    res = await request('DELETE', '/' + id);
+    assert.strictEqual(res.statusCode, 200);
+
+    // server listeners are called for every collection
+    let url = secureServerURL + '/authorizations';
+    res = await httpClient.request({ method: 'POST', url, body: { username: 'admin', password: 'password' } });
+    let token = res.body;
+    let slugs = [];
+    let listener = secureRepositoryServer.on('didPutItem', async function(req) {
+      slugs.push(req.registeredCollection.slug);
+    });
+    try {
+      for (let slug of ['users', 'superusers']) {
+        let params = { method: 'POST', url: secureServerURL + '/' + slug, body: { firstName: 'Clark' } };
+        writeAuthorization(params, token);
+        res = await httpClient.request(params);
+        assert.strictEqual(res.statusCode, 201);
+        params = { method: 'DELETE', url: secureServerURL + '/' + slug + '/' + res.body.value.id };
+        writeAuthorization(params, token);
+        res = await httpClient.request(params);
+        assert.strictEqual(res.statusCode, 200);
+      }
+    } finally {
+      secureRepositoryServer.off('didPutItem', listener);
+    }
+    assert.deepEqual(slugs, ['users', 'superusers']);
+  });
+
   test('use event listeners', async function() {
     let url = serverURL + '/users';
     let body = { firstName: 'Bobby', age: 31 };
@@ -317,6 +1577,130 @@ suite('KindaRepositoryServer', function() {
     assert.strictEqual(res.body, true);
   });
 
+  // Responds with the raw body (a Buffer)
+  let requestRaw = function(params) {
+    return new Promise(function(resolve, reject) {
+      let options = nodeURL.parse(params.url);
+      options.method = params.method;
+      options.headers = params.headers;
+      let req = http.request(options, function(res) {
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', function() {
+          res.body = Buffer.concat(chunks);
+          resolve(res);
+        });
+      });
+      req.on('error', reject);
+      req.end(params.body);
+    });
+  };
+
+  let openChangeStream = function(url, headers) {
+    return new Promise(function(resolve, reject) {
+      let options = nodeURL.parse(url);
+      options.headers = headers;
+      let req = http.get(options, function(res) {
+        let buffer = '';
+        let events = [];
+        let waiters = [];
+        res.setEncoding('utf8');
+        res.on('data', function(data) {
+          buffer += data;
+          let index;
+          while ((index = buffer.indexOf('\n\n')) !== -1) {
+            let chunk = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            let event = {};
+            chunk.split('\n').forEach(function(line) {
+              let pos = line.indexOf(': ');
+              if (pos > 0) event[line.slice(0, pos)] = line.slice(pos + 2);
+            });
+            if (!event.data) continue; // comment
+            event.data = JSON.parse(event.data);
+            events.push(event);
+          }
+          while (waiters.length && waiters[0].count <= events.length) {
+            waiters.shift().resolve(events.slice());
+          }
+        });
+        let waitForEvents = function(count) {
+          return new Promise(function(resolveWaiter) {
+            if (events.length >= count) return resolveWaiter(events.slice());
+            waiters.push({ count, resolve: resolveWaiter });
+          });
+        };
+        resolve({ res, waitForEvents, close: () => req.abort() });
+      });
+      req.on('error', reject);
+    });
+  };
+
+  test('subscribe to changes', async function() {
+    let changesURL = serverURL + '/users/changes';
+    let stream = await openChangeStream(changesURL);
+    assert.strictEqual(stream.res.statusCode, 403);
+    stream.close();
+
+    stream = await openChangeStream(changesURL + '?authorization=secret-token');
+    assert.strictEqual(stream.res.statusCode, 200);
+    assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream; charset=utf-8');
+
+    let url = serverURL + '/users';
+    let body = { firstName: 'Bobby', age: 31 };
+    let params = { method: 'POST', url, body };
+    writeAuthorization(params, 'secret-token');
+    let res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 201);
+    let id = res.body.value.id;
+
+    // rolled back changes are not published
+    let operations = [
+      { type: 'put', id, value: { id, firstName: 'Bob', age: 99 } },
+      { type: 'delete', id: 'xyz' }
+    ];
+    params = { method: 'POST', url: serverURL + '/users/batch', body: operations };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 404);
+
+    url = serverURL + '/users/' + id;
+    params = { method: 'DELETE', url };
+    writeAuthorization(params, 'secret-token');
+    res = await httpClient.request(params);
+    assert.strictEqual(res.statusCode, 200);
+
+    let events = await stream.waitForEvents(2);
+    stream.close();
+    assert.strictEqual(events[0].event, 'put');
+    assert.strictEqual(events[0].data.class, 'User');
+    assert.deepEqual(events[0].data.value, { id, firstName: 'Bob', age: 31 });
+    assert.strictEqual(events[1].event, 'delete');
+    assert.strictEqual(events[1].data.value.id, id);
+
+    let headers = { 'Last-Event-ID': events[0].id };
+    stream = await openChangeStream(changesURL + '?authorization=secret-token', headers);
+    assert.strictEqual(stream.res.statusCode, 200);
+    let resumedEvents = await stream.waitForEvents(1);
+    stream.close();
+    assert.strictEqual(resumedEvents[0].id, events[1].id);
+    assert.strictEqual(resumedEvents[0].event, 'delete');
+
+    // a client falling too far behind is disconnected
+    let credentials = { username: 'alice', password: 'password' };
+    res = await httpClient.request({ method: 'POST', url: secureServerURL + '/authorizations', body: credentials });
+    params = { url: secureServerURL + '/users/changes' };
+    writeAuthorization(params, res.body);
+    stream = await openChangeStream(params.url);
+    assert.strictEqual(stream.res.statusCode, 200);
+    let ended = new Promise(resolve => stream.res.on('end', resolve));
+    let registeredUsers = secureRepositoryServer.registeredCollections.users;
+    for (let i = 0; i <= 1000; i++) {
+      registeredUsers.publishChange({ type: 'put', item: {}, data: '{}' });
+    }
+    await ended;
+  });
+
   suite('with many items', function() {
     setup(async function() {
       await users.putItem({ id: 'aaa', firstName: 'Bob', age: 20 });
@@ -348,6 +1732,127 @@ suite('KindaRepositoryServer', function() {
       ]);
     });
 
+    test('negotiate the format of responses and bodies', async function() {
+      // MessagePack bytes of { class: 'User', value: { id: 'aaa', firstName: 'Bob', age: 20 } }
+      let itemAAA = '82a5636c617373a455736572a576616c756583a26964a3616161a966697273744e616d65a3426f62a361676514';
+      // and of { class: 'User', value: { id: 'eee', firstName: 'John', age: 30 } }
+      let itemEEE = '82a5636c617373a455736572a576616c756583a26964a3656565a966697273744e616d65a44a6f686ea36167651e';
+
+      let params = { method: 'GET', url: serverURL + '/users' };
+      writeAuthorization(params, 'secret-token');
+      params.headers = { accept: 'application/x-ndjson' };
+      let res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/x-ndjson');
+      let lines = res.body.toString().split('\n');
+      assert.strictEqual(lines.pop(), '');
+      let items = lines.map(line => JSON.parse(line));
+      assert.deepEqual(_.pluck(items, 'value.id'), ['aaa', 'bbb', 'ccc']);
+
+      params.headers = { accept: 'application/msgpack' };
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/msgpack');
+      let hex = res.body.toString('hex');
+      assert.strictEqual(hex.slice(0, 2), '93'); // an array of 3 elements
+      assert.strictEqual(hex.slice(2, 2 + itemAAA.length), itemAAA);
+
+      params = { method: 'POST', url: serverURL + '/users/get-items' };
+      writeAuthorization(params, 'secret-token');
+      params.headers = { 'content-type': 'application/msgpack', accept: 'application/msgpack' };
+      params.body = new Buffer('92a3616161a3656565', 'hex'); // ['aaa', 'eee']
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 201);
+      assert.strictEqual(res.body.toString('hex'), '92' + itemAAA + itemEEE);
+
+      params.headers = { 'content-type': 'application/x-ndjson' };
+      params.body = '"bbb"\n"ddd"\n';
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 201);
+      assert.deepEqual(_.pluck(JSON.parse(res.body.toString()), 'value.id'), ['bbb', 'ddd']);
+
+      // errors are formatted too
+      params = { method: 'GET', url: serverURL + '/users/xyz' };
+      writeAuthorization(params, 'secret-token');
+      params.headers = { accept: 'application/msgpack' };
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 404);
+      // { code: 'itemNotFound', message: 'item not found', status: 404 }
+      assert.strictEqual(res.body.toString('hex'), '83a4636f6465ac6974656d4e6f74466f756e64a76d657373616765ae6974656d206e6f7420666f756e64a6737461747573cd0194');
+    });
+
+    test('stream all the items', async function() {
+      // the page size is 3, so the items are fetched in two chunks
+      let params = { method: 'GET', url: serverURL + '/users?stream=1' };
+      writeAuthorization(params, 'secret-token');
+      let res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/json; charset=utf-8');
+      let items = JSON.parse(res.body.toString());
+      assert.deepEqual(_.pluck(items, 'value.id'), ['aaa', 'bbb', 'ccc', 'ddd', 'eee']);
+
+      params.url = serverURL + '/users?stream=1&limit=4';
+      writeAuthorization(params, 'secret-token');
+      params.headers = { accept: 'application/x-ndjson' };
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/x-ndjson');
+      let lines = res.body.toString().split('\n');
+      assert.strictEqual(lines.pop(), '');
+      items = lines.map(line => JSON.parse(line));
+      assert.deepEqual(_.pluck(items, 'value.id'), ['aaa', 'bbb', 'ccc', 'ddd']);
+
+      params = { method: 'POST', url: serverURL + '/users/get-items?stream=1' };
+      writeAuthorization(params, 'secret-token');
+      params.body = new Buffer(JSON.stringify(['eee', 'ddd', 'ccc', 'aaa']));
+      params.headers = { 'content-type': 'application/json' };
+      res = await requestRaw(params);
+      assert.strictEqual(res.statusCode, 201);
+      items = JSON.parse(res.body.toString());
+      assert.deepEqual(_.pluck(items, 'value.id'), ['eee', 'ddd', 'ccc', 'aaa']);
+
+      // the other collections don't allow it
+      params = { method: 'GET', url: secureServerURL + '/users?stream=1' };
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.body.code, 'streamingNotAllowed');
+    });
+
+    test('put and delete several items in a batch', async function() {
+      let operations = [
+        { type: 'post', value: { id: 'fff', firstName: 'Bobby', age: 25 } },
+        { type: 'put', id: 'aaa', value: { id: 'aaa', firstName: 'Bob', age: 21 } },
+        { type: 'delete', id: 'bbb' }
+      ];
+      let url = serverURL + '/users/batch';
+      let params = { method: 'POST', url, body: operations };
+      writeAuthorization(params, 'secret-token');
+      let res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 201);
+      assert.strictEqual(res.body.length, 3);
+      assert.deepEqual(res.body[0].value, { id: 'fff', firstName: 'Bob', age: 25 });
+      assert.deepEqual(res.body[1].value, { id: 'aaa', firstName: 'Bob', age: 21 });
+      assert.strictEqual(res.body[2], true);
+
+      operations = [
+        { type: 'delete', id: 'fff' },
+        { type: 'delete', id: 'xyz' }
+      ];
+      params = { method: 'POST', url, body: operations };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 404);
+
+      url = serverURL + '/users/count';
+      params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body, 5);
+
+      await users.deleteItem('fff', { errorIfMissing: false });
+    });
+
     test('find items between two existing items', async function() {
       let options = { start: 'bbb', end: 'ccc' };
       let query = querystring.stringify(util.encodeValue(options));
@@ -363,6 +1868,55 @@ suite('KindaRepositoryServer', function() {
       ]);
     });
 
+    test('find items page by page', async function() {
+      let url = serverURL + '/users';
+      let params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      let res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepEqual(_.pluck(_.pluck(res.body, 'value'), 'id'), ['aaa', 'bbb', 'ccc']);
+      let link = res.headers.link;
+      assert.ok(link);
+      let matches = link.match(/^<(.+)>; rel="next"$/);
+      assert.ok(matches);
+      assert.notInclude(matches[1], 'secret-token');
+
+      url = nodeURL.resolve(serverURL, matches[1]);
+      params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepEqual(_.pluck(_.pluck(res.body, 'value'), 'id'), ['ddd', 'eee']);
+      assert.isUndefined(res.headers.link);
+
+      let options = { limit: 2, envelope: true };
+      let query = querystring.stringify(util.encodeValue(options));
+      url = serverURL + '/users?' + query;
+      params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepEqual(_.pluck(_.pluck(res.body.items, 'value'), 'id'), ['aaa', 'bbb']);
+      assert.ok(res.body.nextCursor);
+
+      options = { limit: 2, envelope: true, cursor: res.body.nextCursor };
+      query = querystring.stringify(util.encodeValue(options));
+      url = serverURL + '/users?' + query;
+      params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepEqual(_.pluck(_.pluck(res.body.items, 'value'), 'id'), ['ccc', 'ddd']);
+
+      options = { cursor: 'invalid' };
+      query = querystring.stringify(util.encodeValue(options));
+      url = serverURL + '/users?' + query;
+      params = { method: 'GET', url };
+      writeAuthorization(params, 'secret-token');
+      res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 400);
+    });
+
     test('count items', async function() {
       let url = serverURL + '/users/count';
       let params = { method: 'GET', url };
@@ -417,6 +1971,16 @@ suite('KindaRepositoryServer', function() {
       assert.deepEqual(res.body, { id: 'aaa', firstName: 'Bob', age: 20 });
     });
 
+    test('call custom method on a missing item', async function() {
+      let query = querystring.stringify(util.encodeValue({ errorIfMissing: false }));
+      let url = serverURL + '/users/xyz/exists?' + query;
+      let params = { method: 'POST', url };
+      writeAuthorization(params, 'secret-token');
+      let res = await httpClient.request(params);
+      assert.strictEqual(res.statusCode, 201);
+      assert.strictEqual(res.body, false);
+    });
+
     test('call custom method with a body', async function() {
       let data = [{ id: 'aaa', firstName: 'Bob', age: 20 }];
       let url = serverURL + '/users/echo';